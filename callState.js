@@ -0,0 +1,64 @@
+// Call state machine. advanceCall() only checks and records a move; timers,
+// queued invites and persistence stay with the caller.
+
+// Allowed call state transitions. Terminal states have no outgoing edges.
+const CALL_TRANSITIONS = {
+  ringing: ["accepted", "rejected", "missed", "cancelled"],
+  accepted: ["connected", "ended"],
+  connected: ["ended"],
+  ended: [],
+  rejected: [],
+  missed: [],
+  cancelled: [],
+};
+
+// Why a call finished, unless the caller of advanceCall says otherwise
+const DEFAULT_END_REASONS = {
+  ended: "hangup",
+  rejected: "rejected",
+  missed: "timeout",
+  cancelled: "cancelled",
+};
+
+class CallStateError extends Error {
+  constructor(code, message, callId) {
+    super(message);
+    this.name = "CallStateError";
+    this.code = code;
+    this.callId = callId;
+  }
+}
+
+function isCallTerminal(call) {
+  return CALL_TRANSITIONS[call.state].length === 0;
+}
+
+// Move a call to nextState, recording who did it and, for a terminal state,
+// why it ended. Throws CallStateError for a move the machine does not allow.
+function advanceCall(call, nextState, userId, reason, now = Date.now()) {
+  if (!CALL_TRANSITIONS[call.state].includes(nextState)) {
+    throw new CallStateError(
+      "illegal-transition",
+      `Cannot move call from ${call.state} to ${nextState}`,
+      call.callId
+    );
+  }
+
+  call.state = nextState;
+  call.updatedAt = now;
+  call.history.push({ state: nextState, at: now, by: userId });
+
+  if (isCallTerminal(call)) {
+    call.endedAt = now;
+    call.endReason = reason || DEFAULT_END_REASONS[nextState];
+    call.endedBy = userId;
+  }
+  return call;
+}
+
+module.exports = {
+  CALL_TRANSITIONS,
+  CallStateError,
+  isCallTerminal,
+  advanceCall,
+};
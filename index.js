@@ -565,6 +565,20 @@ const express = require("express");
 const http = require("http");
 const socketIo = require("socket.io");
 const cors = require("cors");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+const { promisify } = require("util");
+const { v4: uuidv4 } = require("uuid");
+const { verifyJwt } = require("./jwt");
+const { CallStateError, isCallTerminal, advanceCall } = require("./callState");
+const {
+  SignalValidationError,
+  sanitizeSessionDescription,
+  sanitizeCandidate,
+} = require("./signalValidation");
+const { takeToken } = require("./rateLimit");
 
 const app = express();
 const server = http.createServer(app);
@@ -573,310 +587,4015 @@ const io = socketIo(server, {
     origin: "*",
     methods: ["GET", "POST"],
   },
+  // No signaling message needs to be anywhere near this big
+  maxHttpBufferSize: Number(process.env.MAX_SOCKET_MESSAGE_BYTES) || 256 * 1024,
 });
 
 const PORT = process.env.PORT || 8083;
 
-// Store room data
+// Structured logging: one JSON object per line with time, level, msg and
+// context fields (socketId, userId, roomId, callId, correlationId). LOG_LEVEL
+// sets the minimum level. SDP, ICE candidates and secrets are redacted
+// unless LOG_REDACT=false.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : "info";
+const LOG_REDACT = process.env.LOG_REDACT !== "false";
+const REDACTED_LOG_FIELDS = [
+  "sdp",
+  "candidate",
+  "usernameFragment",
+  "password",
+  "token",
+  "sessionToken",
+  "credential",
+];
+
+function redactLogFields(value, depth = 0) {
+  if (depth > 8 || value === null || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactLogFields(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    result[key] = REDACTED_LOG_FIELDS.includes(key)
+      ? "[redacted]"
+      : redactLogFields(field, depth + 1);
+  }
+  return result;
+}
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, msg, ...fields };
+  if (entry.error instanceof Error) {
+    const { name, message, code, stack } = entry.error;
+    entry.error = { name, message, code, stack };
+  }
+
+  const line = JSON.stringify(LOG_REDACT ? redactLogFields(entry) : entry);
+  const stream =
+    LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+function createLogger(context = {}) {
+  const log = {
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+  for (const level of Object.keys(LOG_LEVELS)) {
+    log[level] = (msg, fields) =>
+      writeLog(level, msg, { ...context, ...fields });
+  }
+  return log;
+}
+
+const logger = createLogger();
+
+function socketLog(socket, fields) {
+  return logger.child({
+    socketId: socket.id,
+    userId: socket.data.userId,
+    ...fields,
+  });
+}
+
+// Fields tying a log entry to a call; every entry of one call shares its
+// correlationId, whichever instance writes it
+function callLogFields(call) {
+  if (!call) {
+    return {};
+  }
+  return {
+    callId: call.callId,
+    correlationId: call.correlationId,
+    roomId: call.roomId,
+  };
+}
+
+// Clustering. Several instances can serve one deployment through a broker:
+// CLUSTER_BROKER_PORT hosts the bundled stand-in broker in this process and
+// CLUSTER_BROKER (host:port) points an instance at one. Broadcasts then reach
+// sockets on every instance, and the state below marked as shared is
+// replicated so any instance can act on users, calls and rooms.
+// Every frame is signed with CLUSTER_SECRET, which all instances must share.
+const CLUSTER_BROKER_PORT = Number(process.env.CLUSTER_BROKER_PORT) || null;
+const CLUSTER_BROKER_HOST = process.env.CLUSTER_BROKER_HOST || "127.0.0.1";
+const CLUSTER_BROKER =
+  process.env.CLUSTER_BROKER ||
+  (CLUSTER_BROKER_PORT ? `127.0.0.1:${CLUSTER_BROKER_PORT}` : null);
+const CLUSTER_SECRET = process.env.CLUSTER_SECRET;
+const FRAME_MAC_BYTES = 32;
+const MAX_CLUSTER_FRAME_BYTES = 16 * 1024 * 1024;
+
+function signFrame(body) {
+  return crypto.createHmac("sha256", CLUSTER_SECRET).update(body).digest();
+}
+
+// Broker frames are a 4-byte length, an HMAC-SHA256 of the body and the
+// body, a JSON message
+function writeFrame(conn, message) {
+  const body = Buffer.from(JSON.stringify(message));
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(FRAME_MAC_BYTES + body.length);
+  conn.write(Buffer.concat([header, signFrame(body), body]));
+}
+
+// Buffers in relayed packets survive JSON as { type: "Buffer", data }
+function parseFrame(frame) {
+  return JSON.parse(
+    frame.subarray(4 + FRAME_MAC_BYTES).toString("utf8"),
+    (key, value) =>
+      value && value.type === "Buffer" && Array.isArray(value.data)
+        ? Buffer.from(value.data)
+        : value
+  );
+}
+
+// Call onFrame with each complete, correctly signed frame, header included.
+// A peer sending an oversized or badly signed frame is cut off.
+function readFrames(conn, onFrame) {
+  let buffered = Buffer.alloc(0);
+  conn.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 4) {
+      const length = buffered.readUInt32BE(0);
+      if (length < FRAME_MAC_BYTES || length > MAX_CLUSTER_FRAME_BYTES) {
+        logger.warn("Dropping cluster peer sending an invalid frame", {
+          remoteAddress: conn.remoteAddress,
+        });
+        conn.destroy();
+        return;
+      }
+
+      const size = 4 + length;
+      if (buffered.length < size) {
+        break;
+      }
+
+      const frame = buffered.subarray(0, size);
+      buffered = buffered.subarray(size);
+      const mac = frame.subarray(4, 4 + FRAME_MAC_BYTES);
+      const body = frame.subarray(4 + FRAME_MAC_BYTES);
+      if (!crypto.timingSafeEqual(mac, signFrame(body))) {
+        logger.warn("Dropping cluster peer with a bad frame signature", {
+          remoteAddress: conn.remoteAddress,
+        });
+        conn.destroy();
+        return;
+      }
+      onFrame(frame);
+    }
+  });
+}
+
+// A minimal pub/sub hub standing in for Redis or NATS: every signed frame is
+// passed on to all other connections. It keeps nothing, so it suits local
+// and small deployments; anything bigger should put a real broker behind
+// BrokerAdapter. It listens on CLUSTER_BROKER_HOST, loopback by default.
+function createClusterBroker(port, onListening) {
+  const connections = new Set();
+  const broker = net.createServer((conn) => {
+    connections.add(conn);
+    readFrames(conn, (frame) => {
+      for (const other of connections) {
+        if (other !== conn) {
+          other.write(frame);
+        }
+      }
+    });
+    conn.on("close", () => connections.delete(conn));
+    conn.on("error", (error) => {
+      logger.error("Cluster broker connection error", { error });
+    });
+  });
+
+  broker.listen(port, CLUSTER_BROKER_HOST, () => {
+    logger.info("Cluster broker listening", {
+      host: CLUSTER_BROKER_HOST,
+      port,
+    });
+    onListening();
+  });
+  return broker;
+}
+
+// Link to the broker. Messages published while the link is down are held
+// and sent once it is back.
+function createBrokerClient(address) {
+  const separator = address.lastIndexOf(":");
+  const host = address.slice(0, separator);
+  const port = Number(address.slice(separator + 1));
+  const adapters = new Set();
+  const pending = [];
+  let conn = null;
+
+  const dispatch = (frame) => {
+    const envelope = parseFrame(frame);
+    for (const adapter of adapters) {
+      if (envelope.response && envelope.to === adapter.uid) {
+        adapter.onResponse(envelope.response);
+      } else if (
+        envelope.message &&
+        envelope.message.nsp === adapter.nsp.name
+      ) {
+        adapter.onMessage(envelope.message);
+      }
+    }
+  };
+
+  const connect = () => {
+    const socket = net.connect(port, host);
+    socket.on("connect", () => {
+      conn = socket;
+      logger.info("Connected to cluster broker", { address });
+      while (pending.length > 0) {
+        writeFrame(socket, pending.shift());
+      }
+    });
+    readFrames(socket, dispatch);
+    socket.on("error", (error) => {
+      logger.error("Cluster broker link error", { address, error });
+    });
+    socket.on("close", () => {
+      conn = null;
+      setTimeout(connect, 1000);
+    });
+  };
+
+  return {
+    adapters,
+    connect,
+    publish(envelope) {
+      if (conn) {
+        writeFrame(conn, envelope);
+      } else {
+        pending.push(envelope);
+      }
+    },
+  };
+}
+
+let brokerClient = null;
+
+// Socket.IO adapter relaying cluster traffic (broadcasts, room joins and
+// leaves, server-side events) through the broker
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp) {
+    super(nsp, {});
+    brokerClient.adapters.add(this);
+  }
+
+  doPublish(message) {
+    brokerClient.publish({ message });
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    brokerClient.publish({ to: requesterUid, response });
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    brokerClient.adapters.delete(this);
+  }
+}
+
+const sharedMaps = new Map(); // name -> SharedMap
+
+function publishClusterState(change) {
+  if (brokerClient) {
+    io.serverSideEmit("cluster:state", change);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Map whose writes are replicated to the other instances. Values must be
+// plain data; an object changed in place is published again by set()ting it.
+class SharedMap extends Map {
+  constructor(name) {
+    super();
+    this.name = name;
+    sharedMaps.set(name, this);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    publishClusterState({ type: "map", map: this.name, key, value });
+    return this;
+  }
+
+  delete(key) {
+    publishClusterState({ type: "map", map: this.name, key, deleted: true });
+    return super.delete(key);
+  }
+
+  // Writes from other instances update objects in place, so timers and
+  // handlers holding a reference see them
+  applyRemote(key, value, deleted) {
+    const current = super.get(key);
+    if (deleted) {
+      super.delete(key);
+    } else if (isPlainObject(current) && isPlainObject(value)) {
+      Object.assign(current, value);
+    } else {
+      super.set(key, value);
+    }
+  }
+}
+
+// Rooms hold Maps, Sets and timers, so they are shared as plain snapshots:
+// the room's own fields, each participant and each lobby entry separately.
+// Per-participant updates keep concurrent joins on different instances from
+// overwriting each other.
+function toSharedRoom(room) {
+  return {
+    createdAt: room.createdAt,
+    lastActivity: room.lastActivity,
+    createdBy: room.createdBy,
+    hostId: room.hostId,
+    explicit: room.explicit,
+    options: room.options,
+    kicked: Array.from(room.kicked),
+    messages: room.messages,
+  };
+}
+
+function toSharedParticipant(participant) {
+  return {
+    ...participant,
+    devices: Array.from(participant.devices.values()),
+  };
+}
+
+function toSharedLobbyEntry(entry) {
+  return {
+    userId: entry.userId,
+    socketId: entry.socketId,
+    requestedAt: entry.requestedAt,
+  };
+}
+
+function shareRoom(roomId) {
+  const room = rooms.get(roomId);
+  publishClusterState({
+    type: "room",
+    roomId,
+    value: room ? toSharedRoom(room) : null,
+  });
+}
+
+function shareParticipant(roomId, userId) {
+  const participant = rooms.get(roomId)?.participants.get(userId);
+  publishClusterState({
+    type: "participant",
+    roomId,
+    userId,
+    value: participant ? toSharedParticipant(participant) : null,
+  });
+}
+
+function shareLobbyEntry(roomId, userId) {
+  const entry = rooms.get(roomId)?.lobby.get(userId);
+  publishClusterState({
+    type: "lobby",
+    roomId,
+    userId,
+    value: entry ? toSharedLobbyEntry(entry) : null,
+  });
+}
+
+function applySharedRoom(roomId, value) {
+  const existing = rooms.get(roomId);
+  if (!value) {
+    if (existing) {
+      for (const entry of existing.lobby.values()) {
+        clearTimeout(entry.timer);
+      }
+      rooms.delete(roomId);
+    }
+    return;
+  }
+
+  const room = existing || { participants: new Map(), lobby: new Map() };
+  Object.assign(room, value, { kicked: new Set(value.kicked) });
+  rooms.set(roomId, room);
+}
+
+function applySharedParticipant(room, userId, value) {
+  if (!value) {
+    room.participants.delete(userId);
+    return;
+  }
+
+  const devices = new Map(
+    value.devices.map((device) => [device.socketId, device])
+  );
+  const participant = room.participants.get(userId);
+  if (participant) {
+    Object.assign(participant, value, { devices });
+  } else {
+    room.participants.set(userId, { ...value, devices });
+  }
+}
+
+function applySharedLobbyEntry(room, userId, value) {
+  const entry = room.lobby.get(userId);
+  if (entry) {
+    clearTimeout(entry.timer);
+  }
+
+  if (value) {
+    room.lobby.set(userId, { ...value, timer: null });
+  } else {
+    room.lobby.delete(userId);
+  }
+}
+
+// Everything this instance knows, for a newcomer to the cluster
+function snapshotClusterState() {
+  const maps = {};
+  for (const [name, map] of sharedMaps.entries()) {
+    maps[name] = Array.from(map.entries());
+  }
+
+  const sharedRooms = Array.from(rooms.entries()).map(([roomId, room]) => ({
+    roomId,
+    value: toSharedRoom(room),
+    participants: Array.from(room.participants.values()).map(
+      toSharedParticipant
+    ),
+    lobby: Array.from(room.lobby.values()).map(toSharedLobbyEntry),
+  }));
+
+  return { type: "snapshot", maps, rooms: sharedRooms };
+}
+
+// Fill in whatever this instance does not know yet from a snapshot; local
+// state is newer than any snapshot
+function applySnapshot({ maps, rooms: sharedRooms }) {
+  for (const [name, entries] of Object.entries(maps)) {
+    const map = sharedMaps.get(name);
+    for (const [key, value] of entries) {
+      if (map && !map.has(key)) {
+        map.applyRemote(key, value);
+      }
+    }
+  }
+
+  for (const shared of sharedRooms) {
+    if (rooms.has(shared.roomId)) {
+      continue;
+    }
+    applySharedRoom(shared.roomId, shared.value);
+    const room = rooms.get(shared.roomId);
+    for (const participant of shared.participants) {
+      applySharedParticipant(room, participant.userId, participant);
+    }
+    for (const entry of shared.lobby) {
+      applySharedLobbyEntry(room, entry.userId, entry);
+    }
+  }
+}
+
+function applyClusterState(change) {
+  switch (change.type) {
+    case "map":
+      sharedMaps
+        .get(change.map)
+        ?.applyRemote(change.key, change.value, change.deleted);
+      break;
+    case "room":
+      applySharedRoom(change.roomId, change.value);
+      break;
+    case "participant":
+    case "lobby": {
+      const room = rooms.get(change.roomId);
+      if (!room) {
+        break;
+      }
+      if (change.type === "participant") {
+        applySharedParticipant(room, change.userId, change.value);
+      } else {
+        applySharedLobbyEntry(room, change.userId, change.value);
+      }
+      break;
+    }
+    case "admit": {
+      const waiting = io.sockets.sockets.get(change.socketId);
+      const room = rooms.get(change.roomId);
+      if (waiting && room) {
+        admitSocket(waiting, change.roomId, room, change.by);
+      }
+      break;
+    }
+    case "hello":
+      // A new instance joined; tell it what we know
+      publishClusterState(snapshotClusterState());
+      break;
+    case "snapshot":
+      applySnapshot(change);
+      break;
+  }
+}
+
+if (CLUSTER_BROKER) {
+  if (!CLUSTER_SECRET) {
+    throw new Error("CLUSTER_SECRET must be set to run in a cluster");
+  }
+
+  brokerClient = createBrokerClient(CLUSTER_BROKER);
+  io.adapter(BrokerAdapter);
+  io.on("cluster:state", applyClusterState);
+
+  if (CLUSTER_BROKER_PORT) {
+    createClusterBroker(CLUSTER_BROKER_PORT, brokerClient.connect);
+  } else {
+    brokerClient.connect();
+  }
+  publishClusterState({ type: "hello" });
+}
+
+// Store room data. Rooms are shared across the cluster through shareRoom,
+// shareParticipant and shareLobbyEntry.
 const rooms = new Map();
-const connectedUsers = new Map(); // Store userId -> socketId mapping
-const MAX_PARTICIPANTS_PER_ROOM = 2; // Set your desired limit
+const connectedUsers = new SharedMap("connectedUsers"); // Store userId -> socketId mapping
+const MAX_PARTICIPANTS_PER_ROOM = 2; // Default limit for rooms created without options
+const MAX_ROOM_CAPACITY = Number(process.env.MAX_ROOM_CAPACITY) || 16;
+const MEDIA_TYPES = ["audio", "video"];
+const LOBBY_TIMEOUT_MS = Number(process.env.LOBBY_TIMEOUT_MS) || 60000;
+const ROOM_HISTORY_LIMIT = 50; // Chat messages kept for late joiners
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_MESSAGE_DATA_BYTES = 16 * 1024;
+const MEDIA_STATE_FLAGS = ["audio", "video", "screenShare", "handRaised"];
+
+// Secret used to verify HS256-signed JWTs presented in the handshake
+const JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+  logger.warn(
+    "JWT_SECRET is not set. Connections will be rejected unless a custom token verifier is installed."
+  );
+}
+
+// Default verifier: HS256 JWT whose `sub` (or `userId`) claim is the user id
+function defaultTokenVerifier(token) {
+  const claims = verifyJwt(token, JWT_SECRET);
+  return { userId: claims.sub || claims.userId, claims };
+}
+
+let tokenVerifier = defaultTokenVerifier;
+
+// Replace the token verifier. The hook receives (token, handshake) and must
+// return (or resolve to) { userId, claims? }, or throw to reject the socket.
+function setTokenVerifier(verifier) {
+  tokenVerifier = verifier || defaultTokenVerifier;
+}
+
+// Check that a client-supplied id matches the identity bound to the socket
+function isAuthorizedAs(socket, claimedUserId) {
+  if (claimedUserId === undefined || claimedUserId === null) {
+    return true;
+  }
+  return claimedUserId === socket.data.userId;
+}
+
+function rejectIdentityMismatch(socket, event, claimedUserId) {
+  socketLog(socket).warn("Rejected payload for another user", {
+    event,
+    claimedUserId,
+  });
+  socket.emit("error", {
+    code: "identity-mismatch",
+    message: "Payload user does not match authenticated user",
+    event,
+  });
+}
+
+// Call sessions keyed by callId. Ring timeouts stay with the instance that
+// placed the call.
+const activeCalls = new SharedMap("activeCalls");
+const CALL_RETENTION_MS = 5 * 60 * 1000; // Keep finished calls queryable for 5 minutes
+const RING_TIMEOUT_MS = Number(process.env.RING_TIMEOUT_MS) || 30000;
+const MAX_MISSED_CALLS_PER_USER = 50;
+
+const callTimeouts = new Map(); // callId -> ring timeout handle
+const missedCalls = new SharedMap("missedCalls"); // userId -> missed call entries not yet fetched
+const userSettings = new SharedMap("userSettings"); // userId -> { dnd, callWaiting }
+
+// Signals for users whose socket is gone, flushed in order on register
+const pendingSignals = new SharedMap("pendingSignals"); // userId -> [{ signalId, event, data, ... }]
+const MAX_PENDING_SIGNALS_PER_USER = 100;
+const SIGNAL_TTL_MS = {
+  incoming_call: RING_TIMEOUT_MS,
+  offer: 30000,
+  answer: 30000,
+  "ice-candidate": 30000,
+};
+
+// Resumable sessions let a client that drops briefly reclaim its rooms
+const sessions = new Map(); // sessionToken -> { userId, socketId, disconnectedAt, ... }
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS ?? 15000);
+
+// Event sent to the other party for each way a call can finish
+const CALL_END_EVENTS = {
+  cancelled: "call_cancelled",
+  rejected: "call_rejected",
+  ended: "call_ended",
+};
+
+function buildCall({ callerId, calleeId, roomId, correlationId }) {
+  const now = Date.now();
+  return {
+    callId: uuidv4(),
+    correlationId: correlationId || uuidv4(),
+    callerId,
+    calleeId,
+    roomId,
+    state: "ringing",
+    createdAt: now,
+    updatedAt: now,
+    endedAt: null,
+    endReason: null,
+    endedBy: null,
+    heldBy: null,
+    history: [{ state: "ringing", at: now, by: callerId }],
+  };
+}
+
+function createCall(options) {
+  const call = buildCall(options);
+  activeCalls.set(call.callId, call);
+  saveCallRecord(call);
+  return call;
+}
+
+// A call turned away before it could ring (busy, dnd) is never tracked, but
+// the attempt still gets a detail record
+function recordRefusedCall(options, reason) {
+  const call = advanceCall(buildCall(options), "rejected", "system", reason);
+  saveCallRecord(call);
+  return call;
+}
+
+function transitionCall(call, nextState, userId, reason) {
+  const wasRinging = call.state === "ringing";
+  advanceCall(call, nextState, userId, reason);
+
+  if (wasRinging) {
+    clearCallTimeout(call.callId);
+    discardQueuedInvite(call);
+  }
+
+  activeCalls.set(call.callId, call);
+  logger.info("Call state changed", {
+    ...callLogFields(call),
+    userId,
+    state: nextState,
+    reason: call.endReason || undefined,
+  });
+  saveCallRecord(call);
+  return call;
+}
+
+// Call detail records outlive the in-memory call session. A store has
+// save(record), get(callId) and listByUser(userId, { limit }); each may
+// return a promise.
+const CALL_RECORD_LIMIT = Number(process.env.CALL_RECORD_LIMIT) || 10000;
+
+function createMemoryCallStore(initial = []) {
+  const records = new Map(initial.map((record) => [record.callId, record]));
+
+  return {
+    records,
+    save(record) {
+      records.delete(record.callId);
+      records.set(record.callId, record);
+      // Maps keep insertion order, so the first key is the oldest record
+      while (records.size > CALL_RECORD_LIMIT) {
+        records.delete(records.keys().next().value);
+      }
+    },
+    get(callId) {
+      return records.get(callId) || null;
+    },
+    listByUser(userId, { limit = 50 } = {}) {
+      return Array.from(records.values())
+        .filter((record) => record.participants.includes(userId))
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, limit);
+    },
+  };
+}
+
+// Rewrites a JSON file from snapshot() at most once a second. The file is
+// written to a temporary path and renamed over the old one, so readers never
+// see it half written. Only one write runs at a time; changes made during a
+// write are picked up by another one right after it.
+const fileWriters = [];
+
+function createJsonFileWriter(filePath, snapshot, description) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  let flushTimer = null;
+  let writing = false;
+  let dirty = false;
+  // Set once the process shuts down: from then on only flushSync() writes
+  let stopped = false;
+
+  const finish = (error) => {
+    writing = false;
+    if (error) {
+      logger.error(`Failed to write ${description}`, { filePath, error });
+    }
+    if (dirty) {
+      dirty = false;
+      flush();
+    }
+  };
+
+  const flush = () => {
+    flushTimer = null;
+    if (stopped) {
+      return;
+    }
+    if (writing) {
+      dirty = true;
+      return;
+    }
+
+    writing = true;
+    fs.writeFile(tmpPath, snapshot(), (error) => {
+      // A write still running at shutdown must not replace the final one
+      if (error || stopped) {
+        finish(error);
+        return;
+      }
+      fs.rename(tmpPath, filePath, finish);
+    });
+  };
+
+  const writer = {
+    schedule() {
+      if (stopped) {
+        dirty = true;
+        return;
+      }
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, 1000);
+      }
+    },
+    // Write any pending changes right away, blocking until they are on disk
+    flushSync() {
+      const pending = flushTimer !== null || writing || dirty;
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      dirty = false;
+      stopped = true;
+      if (!pending) {
+        return;
+      }
+
+      const syncTmpPath = `${filePath}.${process.pid}.sync.tmp`;
+      try {
+        fs.writeFileSync(syncTmpPath, snapshot());
+        fs.renameSync(syncTmpPath, filePath);
+        fs.rmSync(tmpPath, { force: true });
+      } catch (error) {
+        logger.error(`Failed to write ${description}`, { filePath, error });
+      }
+    },
+  };
+  fileWriters.push(writer);
+  return writer;
+}
+
+function flushFileWriters() {
+  for (const writer of fileWriters) {
+    writer.flushSync();
+  }
+}
+
+// Memory store mirrored to a JSON file. Writes are batched so a busy call
+// flow does not rewrite the file on every transition.
+function createFileCallStore(filePath) {
+  let initial = [];
+  if (fs.existsSync(filePath)) {
+    initial = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  const memory = createMemoryCallStore(initial);
+  const writer = createJsonFileWriter(
+    filePath,
+    () => JSON.stringify(Array.from(memory.records.values())),
+    "call records"
+  );
+
+  return {
+    ...memory,
+    save(record) {
+      memory.save(record);
+      writer.schedule();
+    },
+  };
+}
+
+let callRecordStore = process.env.CALL_RECORDS_FILE
+  ? createFileCallStore(process.env.CALL_RECORDS_FILE)
+  : createMemoryCallStore();
+
+// Replace the call record store, e.g. with one backed by a database
+function setCallRecordStore(store) {
+  callRecordStore = store;
+}
+
+function toCallRecord(call) {
+  const accepted = call.history.find((entry) => entry.state === "accepted");
+  const connected = call.history.find((entry) => entry.state === "connected");
+  const answeredAt = accepted ? accepted.at : null;
+
+  return {
+    callId: call.callId,
+    correlationId: call.correlationId,
+    callerId: call.callerId,
+    calleeId: call.calleeId,
+    participants: [call.callerId, call.calleeId],
+    roomId: call.roomId || null,
+    state: call.state,
+    startedAt: call.createdAt,
+    answeredAt,
+    connectedAt: connected ? connected.at : null,
+    endedAt: call.endedAt,
+    durationMs: answeredAt && call.endedAt ? call.endedAt - answeredAt : 0,
+    endReason: call.endReason,
+    endedBy: call.endedBy,
+  };
+}
+
+function saveCallRecord(call) {
+  Promise.resolve()
+    .then(() => callRecordStore.save(toCallRecord(call)))
+    .catch((error) =>
+      logger.error("Failed to save call record", {
+        ...callLogFields(call),
+        error,
+      })
+    );
+}
+
+function clearCallTimeout(callId) {
+  if (callTimeouts.has(callId)) {
+    clearTimeout(callTimeouts.get(callId));
+    callTimeouts.delete(callId);
+  }
+}
+
+function setCallTimeout(callId, callback, delay) {
+  clearCallTimeout(callId);
+  const timeout = setTimeout(() => {
+    callTimeouts.delete(callId);
+    callback();
+  }, delay);
+  callTimeouts.set(callId, timeout);
+}
+
+function recordMissedCall(call) {
+  const entries = missedCalls.get(call.calleeId) || [];
+  entries.push({
+    callId: call.callId,
+    callerId: call.callerId,
+    roomId: call.roomId,
+    at: call.createdAt,
+  });
+
+  // Drop the oldest entries once the cap is reached
+  missedCalls.set(call.calleeId, entries.slice(-MAX_MISSED_CALLS_PER_USER));
+}
+
+// End a call nobody answered within RING_TIMEOUT_MS
+function startRingTimeout(call) {
+  setCallTimeout(
+    call.callId,
+    () => {
+      if (call.state !== "ringing") {
+        return;
+      }
+
+      logger.info("Call was not answered", callLogFields(call));
+      transitionCall(call, "missed", "system", "timeout");
+      recordMissedCall(call);
+
+      emitToUser(call.callerId, "call_timeout", {
+        callId: call.callId,
+        calleeId: call.calleeId,
+        reason: "No answer",
+      });
+      emitToUser(call.calleeId, "call_missed", {
+        callId: call.callId,
+        callerId: call.callerId,
+        roomId: call.roomId,
+      });
+    },
+    RING_TIMEOUT_MS
+  );
+}
+
+function getUserSettings(userId) {
+  return userSettings.get(userId) || { dnd: false, callWaiting: false };
+}
+
+// Live calls a user takes part in, oldest first
+function getLiveCalls(userId) {
+  return Array.from(activeCalls.values()).filter(
+    (call) =>
+      !isCallTerminal(call) &&
+      (call.callerId === userId || call.calleeId === userId)
+  );
+}
+
+// Presence is derived from connection, live calls and user settings so it
+// can never drift from the call state machine
+function getPresence(userId) {
+  // A user inside their reconnect grace window still holds their calls
+  const calls = getLiveCalls(userId);
+  if (!connectedUsers.has(userId) && calls.length === 0) {
+    return { status: "offline", currentCallId: null };
+  }
+
+  const current = calls.find(
+    (call) => call.state !== "ringing" && call.heldBy !== userId
+  );
+  const inCall = current || calls.find((call) => call.state !== "ringing");
+  if (inCall) {
+    return { status: "in-call", currentCallId: inCall.callId };
+  }
+  if (calls.length > 0) {
+    return { status: "ringing", currentCallId: calls[0].callId };
+  }
+
+  return {
+    status: getUserSettings(userId).dnd ? "dnd" : "available",
+    currentCallId: null,
+  };
+}
+
+function ackSignal(signal, status) {
+  const ack = {
+    signalId: signal.signalId,
+    event: signal.event,
+    targetUserId: signal.targetUserId,
+    status,
+  };
+
+  // Room clients never register, so the ack goes back to the sending socket
+  if (signal.fromSocketId) {
+    io.to(signal.fromSocketId).emit("signal_ack", ack);
+  } else if (signal.fromUserId) {
+    emitToUser(signal.fromUserId, "signal_ack", ack);
+  }
+}
+
+function queueSignal(
+  userId,
+  event,
+  data,
+  { fromUserId, fromSocketId, signalId } = {}
+) {
+  const queue = pendingSignals.get(userId) || [];
+  const now = Date.now();
+  const signal = {
+    signalId: signalId || uuidv4(),
+    event,
+    data,
+    fromUserId,
+    fromSocketId,
+    targetUserId: userId,
+    queuedAt: now,
+    expiresAt: now + (SIGNAL_TTL_MS[event] || 30000),
+  };
+
+  queue.push(signal);
+  // Bounded queue: the oldest signals give way to newer ones
+  while (queue.length > MAX_PENDING_SIGNALS_PER_USER) {
+    ackSignal(queue.shift(), "dropped");
+  }
+  pendingSignals.set(userId, queue);
+
+  logger.info("Queued signal", {
+    userId,
+    event,
+    signalId: signal.signalId,
+    fromUserId,
+    callId: data?.callId,
+  });
+  ackSignal(signal, "queued");
+  return signal;
+}
+
+function deliverPendingSignals(userId, socket) {
+  const queue = pendingSignals.get(userId);
+  if (!queue) {
+    return;
+  }
+  pendingSignals.delete(userId);
+
+  const now = Date.now();
+  for (const signal of queue) {
+    if (signal.expiresAt <= now) {
+      ackSignal(signal, "expired");
+      continue;
+    }
+
+    socketLog(socket).info("Delivering pending signal", {
+      event: signal.event,
+      signalId: signal.signalId,
+      callId: signal.data?.callId,
+    });
+    socket.emit(signal.event, signal.data);
+    ackSignal(signal, "delivered");
+  }
+}
+
+// An invite still queued for an offline callee is stale once the call
+// stops ringing
+function discardQueuedInvite(call) {
+  const queue = pendingSignals.get(call.calleeId);
+  if (!queue) {
+    return;
+  }
+
+  const remaining = queue.filter(
+    (signal) =>
+      signal.event !== "incoming_call" || signal.data.callId !== call.callId
+  );
+
+  if (remaining.length > 0) {
+    pendingSignals.set(call.calleeId, remaining);
+  } else {
+    pendingSignals.delete(call.calleeId);
+  }
+}
+
+function expirePendingSignals(now) {
+  for (const [userId, queue] of pendingSignals.entries()) {
+    const live = queue.filter((signal) => {
+      if (signal.expiresAt > now) {
+        return true;
+      }
+      ackSignal(signal, "expired");
+      return false;
+    });
+
+    if (live.length > 0) {
+      pendingSignals.set(userId, live);
+    } else {
+      pendingSignals.delete(userId);
+    }
+  }
+}
+
+function logSecurityEvent(type, details) {
+  logger.warn("Security event", { type, ...details });
+}
+
+// Event payloads must be objects. Returns false after telling the sender
+// when one is not.
+function checkPayload(socket, event, payload) {
+  if (payload && typeof payload === "object" && !Array.isArray(payload)) {
+    return true;
+  }
+
+  socket.emit("error", {
+    code: "invalid-payload",
+    message: "Payload must be an object",
+    event,
+  });
+  return false;
+}
+
+// Check that the sender is in the room it addresses. Returns the room, or
+// null after reporting the problem to the sender.
+function checkSenderMembership(socket, event, roomId, details = {}) {
+  const room = rooms.get(roomId);
+
+  if (!room || !isSocketInRoom(room, socket)) {
+    logSecurityEvent("sender-not-in-room", {
+      event,
+      roomId,
+      userId: socket.data.userId,
+      socketId: socket.id,
+      ...details,
+    });
+    socket.emit("error", {
+      code: "not-in-room",
+      message: "Not in room",
+      event,
+    });
+    return null;
+  }
+
+  return room;
+}
+
+// Check that both the sender and the target of a relay are in the room.
+// Returns the room, or null after reporting the problem to the sender.
+function checkRelayMembership(socket, event, data) {
+  const { roomId, targetUserId, targetDeviceId } = data;
+  const room = checkSenderMembership(socket, event, roomId, { targetUserId });
+  if (!room) {
+    return null;
+  }
+
+  const target = room.participants.get(targetUserId);
+  if (!target || (targetDeviceId && !target.devices.has(targetDeviceId))) {
+    logSecurityEvent("cross-room-signal", {
+      event,
+      roomId,
+      userId: socket.data.userId,
+      socketId: socket.id,
+      targetUserId,
+      targetDeviceId,
+    });
+    socket.emit("error", {
+      code: "target-not-in-room",
+      message: "Target is not a member of this room",
+      event,
+      roomId,
+      targetUserId,
+    });
+    return null;
+  }
+
+  return room;
+}
+
+function emitSignalError(socket, event, error) {
+  if (error instanceof SignalValidationError) {
+    socket.emit("error", { code: error.code, message: error.message, event });
+    return;
+  }
+
+  socketLog(socket).error("Error handling event", { event, error });
+  socket.emit("error", { message: `Failed to process ${event}` });
+}
+
+// Deliver a relay message to every device the target user has in the room
+// (or one device, if the sender names it), queueing it for the user if
+// none of their devices is connected right now
+function relaySignal(socket, room, targetUserId, event, data, options = {}) {
+  const { targetDeviceId, signalId } = options;
+  const signal = {
+    signalId: signalId || uuidv4(),
+    event,
+    fromUserId: socket.data.userId,
+    fromSocketId: socket.id,
+    targetUserId,
+  };
+
+  relayMessageBytes.observe(Buffer.byteLength(JSON.stringify(data)), {
+    type: event,
+  });
+
+  const participant = room.participants.get(targetUserId);
+  const deviceIds = Array.from(participant.devices.values())
+    .filter((device) => !device.reconnecting)
+    .map((device) => device.socketId)
+    .filter((deviceId) => !targetDeviceId || deviceId === targetDeviceId);
+
+  if (deviceIds.length > 0) {
+    io.to(deviceIds).emit(event, data);
+    ackSignal(signal, "delivered");
+    return;
+  }
+
+  queueSignal(targetUserId, event, data, signal);
+}
+
+// Find the call a user refers to. Clients that predate callIds are matched
+// to their most recent live call, optionally narrowed by the peer's id.
+function resolveCall(userId, { callId, callerId, calleeId } = {}) {
+  if (callId) {
+    const call = activeCalls.get(callId);
+    if (!call) {
+      throw new CallStateError("call-not-found", "Call not found", callId);
+    }
+    if (call.callerId !== userId && call.calleeId !== userId) {
+      throw new CallStateError(
+        "not-a-participant",
+        "Not a participant of this call",
+        callId
+      );
+    }
+    return call;
+  }
+
+  const calls = Array.from(activeCalls.values()).reverse();
+  const call = calls.find(
+    (c) =>
+      !isCallTerminal(c) &&
+      (c.callerId === userId || c.calleeId === userId) &&
+      (!callerId || c.callerId === callerId) &&
+      (!calleeId || c.calleeId === calleeId)
+  );
+
+  if (!call) {
+    throw new CallStateError("call-not-found", "Call not found");
+  }
+  return call;
+}
+
+// Hanging up before the call is answered cancels (caller) or rejects
+// (callee) it rather than ending it
+function hangUpCall(call, userId, reason) {
+  let nextState = "ended";
+  if (call.state === "ringing") {
+    nextState = call.callerId === userId ? "cancelled" : "rejected";
+  }
+  return transitionCall(call, nextState, userId, reason);
+}
+
+function notifyHoldChange(call, userId, event) {
+  const peerId = call.callerId === userId ? call.calleeId : call.callerId;
+  emitToUser(peerId, event, { callId: call.callId, userId });
+}
+
+// Put every answered call of the user except `callId` on hold
+function holdOtherCalls(userId, callId) {
+  for (const call of getLiveCalls(userId)) {
+    if (
+      call.callId === callId ||
+      call.state === "ringing" ||
+      call.heldBy === userId
+    ) {
+      continue;
+    }
+
+    call.heldBy = userId;
+    activeCalls.set(call.callId, call);
+    notifyHoldChange(call, userId, "call_on_hold");
+  }
+}
+
+function serializeCall(call) {
+  return {
+    callId: call.callId,
+    correlationId: call.correlationId,
+    callerId: call.callerId,
+    calleeId: call.calleeId,
+    roomId: call.roomId,
+    state: call.state,
+    createdAt: call.createdAt,
+    updatedAt: call.updatedAt,
+    endedAt: call.endedAt,
+    heldBy: call.heldBy,
+    history: call.history,
+  };
+}
+
+// The live call whose media runs through a room the user is in, if any
+function findRoomCall(roomId, userId) {
+  return getLiveCalls(userId).find((call) => call.roomId === roomId) || null;
+}
+
+// Emit to a registered user's socket. Returns false if they are offline.
+function emitToUser(userId, event, payload) {
+  const socketId = connectedUsers.get(userId);
+  if (!socketId) {
+    return false;
+  }
+  io.to(socketId).emit(event, payload);
+  return true;
+}
+
+// Tell the other party how the call finished
+function notifyCallPeer(call, userId, extra = {}) {
+  const peerId = call.callerId === userId ? call.calleeId : call.callerId;
+  const event = CALL_END_EVENTS[call.state] || "call_ended";
+
+  emitToUser(peerId, event, { callId: call.callId, userId, ...extra });
+}
+
+function emitCallError(socket, event, error) {
+  if (error instanceof CallStateError) {
+    socket.emit("error", {
+      code: error.code,
+      message: error.message,
+      callId: error.callId,
+      event,
+    });
+    return;
+  }
+
+  socketLog(socket).error("Error handling event", { event, error });
+  socket.emit("error", { message: `Failed to process ${event}` });
+}
+
+// Call quality. Clients report summarized getStats() samples through
+// call-stats; samples are aggregated per call and per room, one entry per
+// reporting user so instances never overwrite each other's numbers.
+const QUALITY_METRICS = ["rttMs", "jitterMs", "packetLoss", "bitrateKbps"];
+const QUALITY_CANDIDATE_TYPES = ["host", "srflx", "prflx", "relay"];
+const QUALITY_ICE_STATES = [
+  "new",
+  "checking",
+  "connected",
+  "completed",
+  "disconnected",
+  "failed",
+  "closed",
+];
+// Crossing any of these marks the reporter's connection as degraded
+const QUALITY_THRESHOLDS = {
+  rttMs: Number(process.env.QUALITY_MAX_RTT_MS) || 400,
+  jitterMs: Number(process.env.QUALITY_MAX_JITTER_MS) || 50,
+  packetLoss: Number(process.env.QUALITY_MAX_PACKET_LOSS) || 0.05,
+};
+const DEGRADED_ICE_STATES = ["disconnected", "failed"];
+const QUALITY_RETENTION_MS = 60 * 60 * 1000; // Keep reports an hour after the last sample
+
+const qualityStats = new SharedMap("qualityStats"); // [scope, scopeId, userId] -> aggregate
+
+// Validate a call-stats payload into a sample. Every field is optional but
+// at least one must be present.
+function parseCallStats(data) {
+  const sample = {};
+  for (const metric of QUALITY_METRICS) {
+    const value = data[metric];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new SignalValidationError(
+        "invalid-stats",
+        `${metric} must be a non-negative number`
+      );
+    }
+    if (metric === "packetLoss" && value > 1) {
+      throw new SignalValidationError(
+        "invalid-stats",
+        "packetLoss must be a fraction between 0 and 1"
+      );
+    }
+    sample[metric] = value;
+  }
+
+  if (data.candidateType !== undefined) {
+    if (!QUALITY_CANDIDATE_TYPES.includes(data.candidateType)) {
+      throw new SignalValidationError(
+        "invalid-stats",
+        `candidateType must be one of ${QUALITY_CANDIDATE_TYPES.join(", ")}`
+      );
+    }
+    sample.candidateType = data.candidateType;
+  }
+  if (data.iceState !== undefined) {
+    if (!QUALITY_ICE_STATES.includes(data.iceState)) {
+      throw new SignalValidationError(
+        "invalid-stats",
+        `iceState must be one of ${QUALITY_ICE_STATES.join(", ")}`
+      );
+    }
+    sample.iceState = data.iceState;
+  }
+
+  if (Object.keys(sample).length === 0) {
+    throw new SignalValidationError("invalid-stats", "No stats in sample");
+  }
+  sample.at = Date.now();
+  return sample;
+}
+
+function degradationReasons(sample) {
+  const reasons = [];
+  for (const [metric, threshold] of Object.entries(QUALITY_THRESHOLDS)) {
+    if (sample[metric] !== undefined && sample[metric] > threshold) {
+      reasons.push({ metric, value: sample[metric], threshold });
+    }
+  }
+  if (DEGRADED_ICE_STATES.includes(sample.iceState)) {
+    reasons.push({ metric: "iceState", value: sample.iceState });
+  }
+  return reasons;
+}
+
+// Fold a sample into the reporter's aggregate for one call or room. Health
+// is judged on the latest value of every field, since a sample may carry
+// only some of them. Returns the entry and whether it just turned degraded.
+function addQualitySample(scope, scopeId, userId, sample) {
+  const key = JSON.stringify([scope, scopeId, userId]);
+  const entry = qualityStats.get(key) || {
+    scope,
+    scopeId,
+    userId,
+    firstSampleAt: sample.at,
+    lastSampleAt: sample.at,
+    samples: 0,
+    totals: {},
+    candidateTypes: {},
+    latest: null,
+    degraded: false,
+    degradedCount: 0,
+  };
+  const wasDegraded = entry.degraded;
+
+  for (const metric of QUALITY_METRICS) {
+    if (sample[metric] === undefined) {
+      continue;
+    }
+    const total = entry.totals[metric] || { sum: 0, count: 0, max: 0 };
+    total.sum += sample[metric];
+    total.count += 1;
+    total.max = Math.max(total.max, sample[metric]);
+    entry.totals[metric] = total;
+  }
+  if (sample.candidateType) {
+    entry.candidateTypes[sample.candidateType] =
+      (entry.candidateTypes[sample.candidateType] || 0) + 1;
+  }
+
+  entry.samples += 1;
+  entry.lastSampleAt = sample.at;
+  entry.latest = { ...entry.latest, ...sample };
+  const reasons = degradationReasons(entry.latest);
+  entry.degraded = reasons.length > 0;
+  if (entry.degraded && !wasDegraded) {
+    entry.degradedCount += 1;
+  }
+
+  qualityStats.set(key, entry);
+  return { entry, reasons, turnedDegraded: entry.degraded && !wasDegraded };
+}
+
+function recordCallStats(socket, call, roomId, sample) {
+  const { userId } = socket.data;
+  const callResult =
+    call && addQualitySample("call", call.callId, userId, sample);
+  const roomResult = roomId && addQualitySample("room", roomId, userId, sample);
+
+  // Only the step from healthy to degraded is announced
+  const { entry, reasons, turnedDegraded } = callResult || roomResult;
+  if (!turnedDegraded) {
+    return;
+  }
+
+  const notice = {
+    userId,
+    callId: call ? call.callId : null,
+    roomId,
+    reasons,
+    stats: entry.latest,
+  };
+  socketLog(socket, callLogFields(call)).warn("Connection degraded", {
+    roomId,
+    reasons,
+  });
+  if (rooms.has(roomId)) {
+    io.to(roomId).emit("connection-degraded", notice);
+  } else if (call) {
+    emitToUser(call.callerId, "connection-degraded", notice);
+    emitToUser(call.calleeId, "connection-degraded", notice);
+  }
+}
+
+function averageOf(total) {
+  return total && total.count > 0 ? total.sum / total.count : null;
+}
+
+function summarizeMetrics(totals) {
+  const metrics = {};
+  for (const metric of QUALITY_METRICS) {
+    const total = totals[metric];
+    metrics[metric] = total
+      ? { avg: averageOf(total), max: total.max, samples: total.count }
+      : null;
+  }
+  return metrics;
+}
+
+// Quality report for a call or room, or null without any samples
+function summarizeQuality(scope, scopeId) {
+  const entries = Array.from(qualityStats.values()).filter(
+    (entry) => entry.scope === scope && entry.scopeId === scopeId
+  );
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const totals = {};
+  const candidateTypes = {};
+  for (const entry of entries) {
+    for (const [metric, total] of Object.entries(entry.totals)) {
+      const combined = totals[metric] || { sum: 0, count: 0, max: 0 };
+      combined.sum += total.sum;
+      combined.count += total.count;
+      combined.max = Math.max(combined.max, total.max);
+      totals[metric] = combined;
+    }
+    for (const [type, count] of Object.entries(entry.candidateTypes)) {
+      candidateTypes[type] = (candidateTypes[type] || 0) + count;
+    }
+  }
+
+  return {
+    scope,
+    id: scopeId,
+    firstSampleAt: Math.min(...entries.map((entry) => entry.firstSampleAt)),
+    lastSampleAt: Math.max(...entries.map((entry) => entry.lastSampleAt)),
+    samples: entries.reduce((sum, entry) => sum + entry.samples, 0),
+    degraded: entries.some((entry) => entry.degraded),
+    metrics: summarizeMetrics(totals),
+    candidateTypes,
+    participants: entries.map((entry) => ({
+      userId: entry.userId,
+      samples: entry.samples,
+      lastSampleAt: entry.lastSampleAt,
+      candidateType: entry.latest.candidateType || null,
+      iceState: entry.latest.iceState || null,
+      degraded: entry.degraded,
+      degradedCount: entry.degradedCount,
+      metrics: summarizeMetrics(entry.totals),
+      latest: entry.latest,
+    })),
+  };
+}
+
+function pruneQualityStats(now) {
+  for (const [key, entry] of qualityStats.entries()) {
+    if (now - entry.lastSampleAt > QUALITY_RETENTION_MS) {
+      qualityStats.delete(key);
+    }
+  }
+}
+
+// NAT traversal settings handed to clients. Values come from the JSON file
+// named by ICE_CONFIG_FILE, overridden by environment variables.
+function loadIceConfig() {
+  let fileConfig = {};
+  if (process.env.ICE_CONFIG_FILE) {
+    fileConfig = JSON.parse(
+      fs.readFileSync(process.env.ICE_CONFIG_FILE, "utf8")
+    );
+  }
+
+  const list = (value) =>
+    value
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+  return {
+    stunUrls: process.env.STUN_URLS
+      ? list(process.env.STUN_URLS)
+      : fileConfig.stunUrls || ["stun:stun.l.google.com:19302"],
+    turnUrls: process.env.TURN_URLS
+      ? list(process.env.TURN_URLS)
+      : fileConfig.turnUrls || [],
+    turnSecret: process.env.TURN_SECRET || fileConfig.turnSecret || null,
+    turnTtl: Number(process.env.TURN_TTL) || fileConfig.turnTtl || 86400,
+  };
+}
+
+const iceConfig = loadIceConfig();
+
+// TURN REST API credentials: the username carries its own expiry and the
+// password is an HMAC of it, so the TURN server can check both with the
+// shared secret alone
+function buildIceServers(userId) {
+  const iceServers = [];
+  if (iceConfig.stunUrls.length > 0) {
+    iceServers.push({ urls: iceConfig.stunUrls });
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + iceConfig.turnTtl;
+  if (iceConfig.turnUrls.length > 0 && iceConfig.turnSecret) {
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto
+      .createHmac("sha1", iceConfig.turnSecret)
+      .update(username)
+      .digest("base64");
+    iceServers.push({ urls: iceConfig.turnUrls, username, credential });
+  }
+
+  return { iceServers, ttl: iceConfig.turnTtl, expiresAt: expiresAt * 1000 };
+}
+
+// Room metadata and the user registry survive restarts through a storage
+// adapter with loadRooms(), saveRoom(roomId, record), deleteRoom(roomId),
+// loadUsers() and saveUser(userId, record); each may return a promise.
+// Only durable state is stored: participants, lobbies and chat history
+// belong to live sockets and start empty after a restart.
+function createMemoryStorage(initial = {}) {
+  const data = {
+    rooms: { ...initial.rooms },
+    users: { ...initial.users },
+  };
+
+  return {
+    data,
+    loadRooms() {
+      return Object.values(data.rooms);
+    },
+    saveRoom(roomId, record) {
+      data.rooms[roomId] = record;
+    },
+    deleteRoom(roomId) {
+      delete data.rooms[roomId];
+    },
+    loadUsers() {
+      return Object.values(data.users);
+    },
+    saveUser(userId, record) {
+      data.users[userId] = record;
+    },
+  };
+}
+
+// Memory storage mirrored to a JSON file of { rooms, users }, readable
+// with any JSON tool while the server is down. Writes are batched like the
+// call record file.
+function createFileStorage(filePath) {
+  let initial = {};
+  if (fs.existsSync(filePath)) {
+    initial = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  const memory = createMemoryStorage(initial);
+  const writer = createJsonFileWriter(
+    filePath,
+    () => JSON.stringify(memory.data, null, 2),
+    "storage file"
+  );
+
+  return {
+    ...memory,
+    saveRoom(roomId, record) {
+      memory.saveRoom(roomId, record);
+      writer.schedule();
+    },
+    deleteRoom(roomId) {
+      memory.deleteRoom(roomId);
+      writer.schedule();
+    },
+    saveUser(userId, record) {
+      memory.saveUser(userId, record);
+      writer.schedule();
+    },
+  };
+}
+
+let storage = process.env.STORAGE_FILE
+  ? createFileStorage(process.env.STORAGE_FILE)
+  : createMemoryStorage();
+
+const userRegistry = new SharedMap("userRegistry"); // userId -> { userId, firstRegisteredAt, lastRegisteredAt, lastSeenAt, settings }
+
+function runStorage(action, operation) {
+  Promise.resolve()
+    .then(operation)
+    .catch((error) => logger.error(`Failed to ${action}`, { error }));
+}
+
+function toRoomRecord(roomId, room) {
+  return {
+    roomId,
+    createdAt: room.createdAt,
+    lastActivity: room.lastActivity,
+    createdBy: room.createdBy,
+    hostId: room.hostId,
+    explicit: room.explicit,
+    options: room.options,
+    kicked: Array.from(room.kicked),
+  };
+}
+
+function persistRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (room) {
+    runStorage("save room", () =>
+      storage.saveRoom(roomId, toRoomRecord(roomId, room))
+    );
+  }
+  shareRoom(roomId);
+}
+
+function forgetRoom(roomId) {
+  rooms.delete(roomId);
+  runStorage("delete room", () => storage.deleteRoom(roomId));
+  shareRoom(roomId);
+}
+
+// Record a user in the registry, merging in the given fields
+function persistUser(userId, fields) {
+  const record = {
+    userId,
+    firstRegisteredAt: null,
+    lastRegisteredAt: null,
+    lastSeenAt: null,
+    ...userRegistry.get(userId),
+    ...fields,
+    settings: getUserSettings(userId),
+  };
+  if (!record.firstRegisteredAt) {
+    record.firstRegisteredAt = record.lastRegisteredAt;
+  }
+
+  userRegistry.set(userId, record);
+  runStorage("save user", () => storage.saveUser(userId, record));
+}
+
+// Load saved rooms and users into memory. Expired rooms are dropped.
+function restoreState() {
+  return Promise.all([storage.loadRooms(), storage.loadUsers()]).then(
+    ([roomRecords, userRecords]) => {
+      const now = Date.now();
+      for (const record of roomRecords) {
+        // Live rooms win over saved copies when swapping adapters at runtime
+        if (rooms.has(record.roomId)) {
+          continue;
+        }
+
+        const room = createRoom(record.roomId, record.options, {
+          createdBy: record.createdBy,
+          explicit: record.explicit,
+        });
+        room.createdAt = record.createdAt;
+        room.lastActivity = record.lastActivity;
+        room.hostId = record.hostId;
+        room.kicked = new Set(record.kicked);
+
+        if (isRoomExpired(room, now)) {
+          forgetRoom(record.roomId);
+        }
+      }
+
+      for (const record of userRecords) {
+        userRegistry.set(record.userId, record);
+        if (record.settings) {
+          userSettings.set(record.userId, record.settings);
+        }
+      }
+
+      logger.info("Restored state from storage", {
+        rooms: rooms.size,
+        users: userRegistry.size,
+      });
+    }
+  );
+}
+
+// Replace the storage adapter, e.g. with one backed by a database, and load
+// whatever it already holds
+function setStorageAdapter(adapter) {
+  storage = adapter;
+  return restoreState();
+}
+
+class RoomError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "RoomError";
+    this.code = code;
+  }
+}
+
+// scrypt is slow on purpose; the async form keeps it off the event loop
+const scrypt = promisify(crypto.scrypt);
+
+async function hashRoomPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return { salt: salt.toString("hex"), hash: hash.toString("hex") };
+}
+
+async function checkRoomPassword(room, password) {
+  const { passwordHash } = room.options;
+  if (!passwordHash) {
+    return true;
+  }
+  if (typeof password !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(passwordHash.hash, "hex");
+  const actual = await scrypt(
+    password,
+    Buffer.from(passwordHash.salt, "hex"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Validate client-supplied room options, filling in defaults. The password
+// is hashed separately by createRoomFor.
+function parseRoomOptions(input = {}) {
+  const {
+    maxParticipants = MAX_PARTICIPANTS_PER_ROOM,
+    mediaType = "video",
+    locked = false,
+    waitingRoom = false,
+    password,
+    expiresIn,
+  } = input;
+
+  if (
+    !Number.isInteger(maxParticipants) ||
+    maxParticipants < 1 ||
+    maxParticipants > MAX_ROOM_CAPACITY
+  ) {
+    throw new RoomError(
+      "invalid-options",
+      `maxParticipants must be an integer between 1 and ${MAX_ROOM_CAPACITY}`
+    );
+  }
+  if (!MEDIA_TYPES.includes(mediaType)) {
+    throw new RoomError(
+      "invalid-options",
+      `mediaType must be one of ${MEDIA_TYPES.join(", ")}`
+    );
+  }
+  if (typeof locked !== "boolean") {
+    throw new RoomError("invalid-options", "locked must be a boolean");
+  }
+  if (typeof waitingRoom !== "boolean") {
+    throw new RoomError("invalid-options", "waitingRoom must be a boolean");
+  }
+  if (password !== undefined && (typeof password !== "string" || !password)) {
+    throw new RoomError(
+      "invalid-options",
+      "password must be a non-empty string"
+    );
+  }
+  if (
+    expiresIn !== undefined &&
+    (typeof expiresIn !== "number" || !(expiresIn > 0))
+  ) {
+    throw new RoomError(
+      "invalid-options",
+      "expiresIn must be a positive number of seconds"
+    );
+  }
+
+  return {
+    maxParticipants,
+    mediaType,
+    locked,
+    waitingRoom,
+    passwordHash: null,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+  };
+}
+
+function createRoom(
+  roomId,
+  options,
+  { createdBy = null, explicit = false } = {}
+) {
+  const now = Date.now();
+  const room = {
+    participants: new Map(),
+    createdAt: now,
+    lastActivity: now,
+    createdBy,
+    // The creator hosts the room; the first joiner does if nobody does yet
+    hostId: createdBy,
+    kicked: new Set(),
+    lobby: new Map(), // userId -> { userId, socketId, requestedAt, timer }
+    messages: [], // Recent chat history, oldest first
+    // Rooms made through create-room outlive being empty until they expire
+    explicit,
+    options,
+  };
+
+  rooms.set(roomId, room);
+  persistRoom(roomId);
+  return room;
+}
+
+function isRoomExpired(room, now = Date.now()) {
+  return room.options.expiresAt !== null && now >= room.options.expiresAt;
+}
+
+function serializeRoom(roomId, room) {
+  return {
+    roomId,
+    participants: room.participants.size,
+    maxParticipants: room.options.maxParticipants,
+    mediaType: room.options.mediaType,
+    locked: room.options.locked,
+    waitingRoom: room.options.waitingRoom,
+    waiting: room.lobby.size,
+    passwordProtected: Boolean(room.options.passwordHash),
+    expiresAt: room.options.expiresAt,
+    createdAt: room.createdAt,
+    createdBy: room.createdBy,
+    hostId: room.hostId,
+  };
+}
+
+// Remove a room and everyone in it
+function closeRoom(roomId, reason) {
+  if (!rooms.has(roomId)) {
+    return false;
+  }
+
+  logger.info("Closing room", { roomId, reason });
+  const room = rooms.get(roomId);
+  for (const entry of room.lobby.values()) {
+    clearTimeout(entry.timer);
+    io.to(entry.socketId).emit("room-closed", { roomId, reason });
+  }
+  io.to(roomId).emit("room-closed", { roomId, reason });
+  io.in(roomId).socketsLeave(roomId);
+  forgetRoom(roomId);
+  return true;
+}
+
+// Room ids held by a create-room that is still hashing its password
+const pendingRoomIds = new Set();
+
+async function createRoomFor(userId, input = {}) {
+  const roomId = input.roomId === undefined ? uuidv4() : input.roomId;
+  if (!roomId || typeof roomId !== "string") {
+    throw new RoomError("invalid-room-id", "Invalid room ID");
+  }
+  if (rooms.has(roomId) || pendingRoomIds.has(roomId)) {
+    throw new RoomError("room-exists", "Room already exists");
+  }
+
+  const options = parseRoomOptions(input);
+  if (input.password) {
+    pendingRoomIds.add(roomId);
+    try {
+      options.passwordHash = await hashRoomPassword(input.password);
+    } finally {
+      pendingRoomIds.delete(roomId);
+    }
+    // Another instance may have taken the id in the meantime
+    if (rooms.has(roomId)) {
+      throw new RoomError("room-exists", "Room already exists");
+    }
+  }
+
+  const room = createRoom(roomId, options, {
+    createdBy: userId,
+    explicit: true,
+  });
+  logger.info("Room created", { roomId, userId });
+  return serializeRoom(roomId, room);
+}
+
+// Authenticate REST calls with the same bearer tokens as the socket handshake
+async function authenticateRequest(req, res, next) {
+  try {
+    const header = req.get("authorization") || "";
+    const token = header.replace(/^Bearer\s+/i, "");
+    if (!token) {
+      return res.status(401).json({ error: "Authentication token required" });
+    }
+
+    const identity = await tokenVerifier(token, req);
+    if (!identity || !identity.userId) {
+      return res.status(401).json({ error: "Token does not identify a user" });
+    }
+
+    req.userId = identity.userId;
+    req.claims = identity.claims || {};
+    next();
+  } catch (error) {
+    res.status(401).json({ error: "Authentication failed" });
+  }
+}
+
+// Prometheus metrics, served in the text format by GET /metrics. Values are
+// per instance, so scrape every instance.
+const metrics = [];
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) =>
+      `${key}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function metricHeader(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// collect() returns the value, or [labels, value] pairs for a labelled gauge
+function createGauge(name, help, collect) {
+  metrics.push({
+    render() {
+      const value = collect();
+      const series = Array.isArray(value) ? value : [[{}, value]];
+      return [
+        ...metricHeader(name, help, "gauge"),
+        ...series.map(
+          ([labels, current]) => `${name}${formatLabels(labels)} ${current}`
+        ),
+      ];
+    },
+  });
+}
+
+function createCounter(name, help) {
+  const series = new Map(); // formatted labels -> value
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = metricHeader(name, help, "counter");
+      for (const [key, value] of series.entries()) {
+        lines.push(`${name}${key} ${value}`);
+      }
+      return lines;
+    },
+  };
+  metrics.push(counter);
+  return counter;
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map(); // formatted labels -> { labels, counts, sum, count }
+  const histogram = {
+    observe(value, labels = {}) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) {
+        series.set(key, {
+          labels,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      const lines = metricHeader(name, help, "histogram");
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          const le = formatLabels({ ...labels, le: bound });
+          lines.push(`${name}_bucket${le} ${counts[index]}`);
+        });
+        const inf = formatLabels({ ...labels, le: "+Inf" });
+        lines.push(`${name}_bucket${inf} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  metrics.push(histogram);
+  return histogram;
+}
+
+createGauge(
+  "signaling_connected_sockets",
+  "Sockets connected to this instance",
+  () => io.of("/").sockets.size
+);
+createGauge("signaling_active_rooms", "Rooms currently open", () => rooms.size);
+
+const ROOM_SIZE_BUCKETS = [1, 2, 3, 4, 6, 8, 12, 16, "+Inf"];
+createGauge(
+  "signaling_rooms_by_participants",
+  "Open rooms with at most le participants",
+  () => {
+    const sizes = Array.from(rooms.values(), (room) => room.participants.size);
+    return ROOM_SIZE_BUCKETS.map((bound) => [
+      { le: bound },
+      sizes.filter((size) => bound === "+Inf" || size <= bound).length,
+    ]);
+  }
+);
+
+// call_user, accept_call, reject_call, call_busy and room-full
+const signalingEvents = createCounter(
+  "signaling_events_total",
+  "Call and room events handled, by event"
+);
+
+const relayMessageBytes = createHistogram(
+  "signaling_relay_message_bytes",
+  "Size of relayed offers, answers and ICE candidates, by type",
+  [256, 1024, 4096, 16384, 65536, 262144]
+);
+
+const callAnswerSeconds = createHistogram(
+  "signaling_call_answer_seconds",
+  "Time from call_user to accept_call",
+  [1, 2, 5, 10, 15, 20, 30, 45, 60]
+);
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.status(200).json({ status: "OK", timestamp: new Date().toISOString() });
+});
+
+app.get("/metrics", (req, res) => {
+  const lines = metrics.flatMap((metric) => metric.render());
+  res
+    .type("text/plain; version=0.0.4; charset=utf-8")
+    .send(`${lines.join("\n")}\n`);
+});
+
+// Room info endpoint
+app.get("/room/:roomId", (req, res) => {
+  const { roomId } = req.params;
+  const room = rooms.get(roomId);
+
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  res.json(serializeRoom(roomId, room));
+});
+
+// Recent calls of the authenticated user
+app.get("/users/:userId/calls", authenticateRequest, async (req, res) => {
+  if (req.params.userId !== req.userId) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 50, 500));
+    const calls = await callRecordStore.listByUser(req.userId, { limit });
+    res.json({ userId: req.userId, calls });
+  } catch (error) {
+    logger.error("Error listing calls", { userId: req.userId, error });
+    res.status(500).json({ error: "Failed to list calls" });
+  }
+});
+
+// A single call detail record, visible to its participants
+app.get("/calls/:callId", authenticateRequest, async (req, res) => {
+  try {
+    const record = await callRecordStore.get(req.params.callId);
+    if (!record || !record.participants.includes(req.userId)) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+    res.json(record);
+  } catch (error) {
+    logger.error("Error fetching call", {
+      userId: req.userId,
+      callId: req.params.callId,
+      error,
+    });
+    res.status(500).json({ error: "Failed to fetch call" });
+  }
+});
+
+// Quality report of a call, visible to its participants
+app.get("/calls/:callId/quality", authenticateRequest, async (req, res) => {
+  try {
+    const record = await callRecordStore.get(req.params.callId);
+    const summary = summarizeQuality("call", req.params.callId);
+    if (
+      !record ||
+      !summary ||
+      !(record.participants.includes(req.userId) || isAdminRequest(req))
+    ) {
+      return res.status(404).json({ error: "No quality data for this call" });
+    }
+    res.json(summary);
+  } catch (error) {
+    logger.error("Error fetching call quality", {
+      userId: req.userId,
+      callId: req.params.callId,
+      error,
+    });
+    res.status(500).json({ error: "Failed to fetch call quality" });
+  }
+});
+
+// Quality report of a room, for its members, whoever reported into it and
+// admins
+app.get("/room/:roomId/quality", authenticateRequest, (req, res) => {
+  const { roomId } = req.params;
+  const summary = summarizeQuality("room", roomId);
+  const allowed =
+    summary &&
+    (isAdminRequest(req) ||
+      rooms.get(roomId)?.participants.has(req.userId) ||
+      summary.participants.some((entry) => entry.userId === req.userId));
+
+  if (!allowed) {
+    return res.status(404).json({ error: "No quality data for this room" });
+  }
+  res.json(summary);
+});
+
+// STUN/TURN servers for the calling user, with short-lived TURN credentials
+app.get("/ice-servers", authenticateRequest, (req, res) => {
+  res.json(buildIceServers(req.userId));
+});
+
+// Create a room with explicit options
+app.post("/room", authenticateRequest, async (req, res) => {
+  try {
+    res.status(201).json(await createRoomFor(req.userId, req.body || {}));
+  } catch (error) {
+    if (error instanceof RoomError) {
+      const status = error.code === "room-exists" ? 409 : 400;
+      return res
+        .status(status)
+        .json({ error: error.message, code: error.code });
+    }
+    logger.error("Error creating room", { userId: req.userId, error });
+    res.status(500).json({ error: "Failed to create room" });
+  }
+});
+
+// Admin API. Callers need a token whose `role` claim (or one of whose
+// `roles`) is ADMIN_ROLE.
+const ADMIN_ROLE = process.env.ADMIN_ROLE || "admin";
+
+function isAdminRequest(req) {
+  const { role, roles } = req.claims;
+  return (
+    role === ADMIN_ROLE || (Array.isArray(roles) && roles.includes(ADMIN_ROLE))
+  );
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
+
+function logAdminAction(req, action, details) {
+  logger.info("Admin action", { action, by: req.userId, ...details });
+}
+
+// Every room with its members and how long it has been around
+app.get("/admin/rooms", authenticateRequest, requireAdmin, (req, res) => {
+  const now = Date.now();
+  const list = Array.from(rooms.entries()).map(([roomId, room]) => ({
+    ...serializeRoom(roomId, room),
+    ageMs: now - room.createdAt,
+    idleMs: now - room.lastActivity,
+    members: Array.from(room.participants.values()).map((participant) => ({
+      ...serializeParticipant(participant),
+      inRoomMs: now - participant.joinedAt,
+    })),
+    lobby: Array.from(room.lobby.values()).map((entry) =>
+      serializeJoinRequest(roomId, entry)
+    ),
+  }));
+
+  res.json({ rooms: list });
+});
+
+// Known users: everyone connected anywhere in the cluster plus everyone who
+// ever registered. ?connected=true limits the list to connected users.
+app.get("/admin/users", authenticateRequest, requireAdmin, async (req, res) => {
+  try {
+    const sockets = await io.fetchSockets();
+    const users = new Map();
+    const entryFor = (userId) => {
+      if (!users.has(userId)) {
+        users.set(userId, {
+          userId,
+          registeredSocketId: connectedUsers.get(userId) || null,
+          sockets: [],
+          ...userRegistry.get(userId),
+          presence: getPresence(userId),
+        });
+      }
+      return users.get(userId);
+    };
+
+    for (const socket of sockets) {
+      entryFor(socket.data.userId).sockets.push(socket.id);
+    }
+    if (req.query.connected !== "true") {
+      for (const userId of userRegistry.keys()) {
+        entryFor(userId);
+      }
+    }
+
+    res.json({ users: Array.from(users.values()) });
+  } catch (error) {
+    logger.error("Error listing users", { error });
+    res.status(500).json({ error: "Failed to list users" });
+  }
+});
+
+// Close a room, sending everyone in it or waiting for it away
+app.delete(
+  "/admin/rooms/:roomId",
+  authenticateRequest,
+  requireAdmin,
+  (req, res) => {
+    const { roomId } = req.params;
+    if (!closeRoom(roomId, "closed-by-admin")) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    logAdminAction(req, "close-room", { roomId });
+    res.json({ roomId, closed: true });
+  }
+);
+
+// Disconnect every socket of a user, wherever in the cluster it is
+app.post(
+  "/admin/users/:userId/disconnect",
+  authenticateRequest,
+  requireAdmin,
+  async (req, res) => {
+    const { userId } = req.params;
+    const { reason = "disconnected-by-admin" } = req.body || {};
+
+    try {
+      const sockets = (await io.fetchSockets()).filter(
+        (socket) => socket.data.userId === userId
+      );
+      if (sockets.length === 0) {
+        return res.status(404).json({ error: "User is not connected" });
+      }
+
+      for (const socket of sockets) {
+        socket.emit("force-disconnect", { reason });
+        socket.disconnect(true);
+      }
+
+      logAdminAction(req, "disconnect-user", {
+        userId,
+        sockets: sockets.length,
+        reason,
+      });
+      res.json({ userId, disconnected: sockets.length });
+    } catch (error) {
+      logger.error("Error disconnecting user", { userId, error });
+      res.status(500).json({ error: "Failed to disconnect user" });
+    }
+  }
+);
+
+// Tell every connected client about upcoming maintenance
+app.post("/admin/broadcast", authenticateRequest, requireAdmin, (req, res) => {
+  const { message, startsAt = null } = req.body || {};
+  if (
+    typeof message !== "string" ||
+    !message.trim() ||
+    message.length > MAX_MESSAGE_LENGTH
+  ) {
+    return res.status(400).json({
+      error: `message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters`,
+    });
+  }
+  if (startsAt !== null && !Number.isFinite(startsAt)) {
+    return res
+      .status(400)
+      .json({ error: "startsAt must be a timestamp in milliseconds" });
+  }
+
+  const notice = { message, startsAt, sentAt: Date.now() };
+  io.emit("maintenance-notice", notice);
+  logAdminAction(req, "broadcast", notice);
+  res.json(notice);
+});
+
+// Clean up empty rooms periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [roomId, room] of rooms.entries()) {
+    if (isRoomExpired(room, now)) {
+      closeRoom(roomId, "expired");
+    } else if (
+      room.participants.size === 0 &&
+      now - room.lastActivity > 300000 &&
+      !(room.explicit && room.options.expiresAt)
+    ) {
+      // 5 minutes
+      logger.info("Cleaning up empty room", { roomId });
+      forgetRoom(roomId);
+    }
+  }
+
+  for (const [callId, call] of activeCalls.entries()) {
+    if (isCallTerminal(call) && now - call.endedAt > CALL_RETENTION_MS) {
+      activeCalls.delete(callId);
+    }
+  }
+
+  expirePendingSignals(now);
+  pruneQualityStats(now);
+
+  // Forget rate buckets nobody has touched for a while
+  for (const [userId, buckets] of userRateBuckets.entries()) {
+    const idle = Array.from(buckets.values()).every(
+      (bucket) => now - bucket.updatedAt > 10 * RATE_LIMIT_WINDOW_MS
+    );
+    if (idle) {
+      userRateBuckets.delete(userId);
+    }
+  }
+}, 60000); // Check every minute
+
+// Room participants are keyed by userId. A user may be in the same room
+// from several devices; each device is one socket.
+function isSocketInRoom(room, socket) {
+  const participant = room.participants.get(socket.data.userId);
+  return Boolean(participant && participant.devices.has(socket.id));
+}
+
+function serializeParticipant(participant) {
+  const devices = Array.from(participant.devices.values());
+  return {
+    id: participant.userId,
+    userId: participant.userId,
+    joinedAt: participant.joinedAt,
+    devices: devices.map((device) => device.socketId),
+    reconnecting: devices.every((device) => device.reconnecting),
+    media: participant.media,
+  };
+}
+
+// Full-mesh negotiation: whoever joins sends an offer to every member already
+// in the room, so each pair has exactly one offerer. If both sides still
+// end up offering (e.g. an ICE restart), the lexicographically smaller user
+// id is the polite peer that rolls back.
+function negotiationFor(userId, peerId, initiator) {
+  return { peerId, initiator, polite: userId < peerId };
+}
+
+// Seat a socket in the room and tell everyone how to connect to it
+function addSocketToRoom(socket, roomId, room) {
+  const { userId } = socket.data;
+  const existing = room.participants.get(userId);
+
+  // Join the room
+  socket.join(roomId);
+
+  // Store user info
+  const participant = existing || {
+    userId,
+    joinedAt: Date.now(),
+    roomId,
+    devices: new Map(),
+    media: {
+      audio: true,
+      video: room.options.mediaType === "video",
+      screenShare: false,
+      handRaised: false,
+    },
+  };
+  participant.devices.set(socket.id, {
+    socketId: socket.id,
+    joinedAt: Date.now(),
+    reconnecting: false,
+  });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+  room.participants.set(userId, participant);
+  room.lastActivity = Date.now();
+  shareParticipant(roomId, userId);
+  if (!room.hostId) {
+    room.hostId = userId;
+    persistRoom(roomId);
+  }
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.status(200).json({ status: "OK", timestamp: new Date().toISOString() });
-});
+  socketLog(socket, { roomId }).info("Joined room", {
+    participants: room.participants.size,
+  });
 
-// Room info endpoint
-app.get("/room/:roomId", (req, res) => {
-  const { roomId } = req.params;
+  const others = Array.from(room.participants.values()).filter(
+    (user) => user.userId !== userId
+  );
+
+  // Notify the user about successful join. The newcomer offers to
+  // everyone already in the room.
+  socket.emit("joined-room", {
+    roomId,
+    userId,
+    deviceId: socket.id,
+    participants: room.participants.size,
+    room: serializeRoom(roomId, room),
+    negotiation: {
+      offerTo: others.map((user) => user.userId),
+      peers: others.map((user) => negotiationFor(userId, user.userId, true)),
+    },
+  });
+
+  // Notify other users in the room that a new user (or device) has
+  // joined, telling each of them to wait for its offer
+  for (const other of others) {
+    io.to(Array.from(other.devices.keys())).emit(
+      existing ? "device-joined" : "user-joined",
+      {
+        userId,
+        deviceId: socket.id,
+        participants: room.participants.size,
+        media: participant.media,
+        negotiation: negotiationFor(other.userId, userId, false),
+      }
+    );
+  }
+
+  // Send current participants list to the new user
+  const participantsList = others.map((user) => ({
+    ...serializeParticipant(user),
+    negotiation: negotiationFor(userId, user.userId, true),
+  }));
+
+  if (participantsList.length > 0) {
+    socket.emit("participants-list", { participants: participantsList });
+  }
+
+  if (room.messages.length > 0) {
+    socket.emit("room-history", { roomId, messages: room.messages });
+  }
+
+  // A host arriving late catches up on who is knocking
+  if (room.hostId === userId) {
+    for (const entry of room.lobby.values()) {
+      socket.emit("join-request", serializeJoinRequest(roomId, entry));
+    }
+  }
+}
+
+// Remove one device from a room. The participant leaves once their last
+// device is gone.
+function removeDeviceFromRoom(roomId, socketId, userId, extra = {}) {
   const room = rooms.get(roomId);
+  const participant = room && room.participants.get(userId);
+  if (!participant || !participant.devices.has(socketId)) {
+    return;
+  }
 
-  if (!room) {
-    return res.status(404).json({ error: "Room not found" });
+  participant.devices.delete(socketId);
+  room.lastActivity = Date.now();
+
+  if (participant.devices.size > 0) {
+    shareParticipant(roomId, userId);
+    io.to(roomId).emit("device-left", { userId, deviceId: socketId });
+    return;
   }
 
-  res.json({
+  removeParticipant(roomId, room, userId, extra);
+}
+
+// Drop a participant with all of their devices, handing host duties on
+function removeParticipant(roomId, room, userId, extra = {}) {
+  room.participants.delete(userId);
+  room.lastActivity = Date.now();
+  shareParticipant(roomId, userId);
+  logger.info("Left room", {
+    userId,
     roomId,
     participants: room.participants.size,
-    maxParticipants: MAX_PARTICIPANTS_PER_ROOM,
-    createdAt: room.createdAt,
+    reason: extra.reason,
   });
-});
 
-// Clean up empty rooms periodically
-setInterval(() => {
-  const now = Date.now();
+  // Notify other users in the room
+  io.to(roomId).emit("user-left", {
+    userId,
+    participants: room.participants.size,
+    ...extra,
+  });
+
+  if (room.hostId === userId) {
+    // The longest-present member takes over
+    const [next] = Array.from(room.participants.values()).sort(
+      (a, b) => a.joinedAt - b.joinedAt
+    );
+    setRoomHost(roomId, room, next ? next.userId : null, "host-left");
+  }
+
+  // Clean up empty room after delay
+  if (room.participants.size === 0 && !room.explicit) {
+    setTimeout(() => {
+      if (rooms.get(roomId)?.participants.size === 0) {
+        logger.info("Removing empty room", { roomId });
+        forgetRoom(roomId);
+      }
+    }, 30000); // 30 second delay
+  }
+}
+
+function setRoomHost(roomId, room, hostId, reason) {
+  const previousHostId = room.hostId;
+  room.hostId = hostId;
+  persistRoom(roomId);
+  logger.info("Room host changed", {
+    roomId,
+    hostId,
+    previousHostId,
+    reason,
+  });
+  io.to(roomId).emit("host-changed", {
+    roomId,
+    hostId,
+    previousHostId,
+    reason,
+  });
+
+  // The new host picks up whoever is still knocking
+  for (const entry of room.lobby.values()) {
+    emitToHost(room, "join-request", serializeJoinRequest(roomId, entry));
+  }
+}
+
+function emitToHost(room, event, payload) {
+  const host = room.participants.get(room.hostId);
+  if (host) {
+    io.to(Array.from(host.devices.keys())).emit(event, payload);
+  }
+}
+
+function serializeJoinRequest(roomId, entry) {
+  return { roomId, userId: entry.userId, requestedAt: entry.requestedAt };
+}
+
+// Park a socket in the room's lobby until the host admits or denies it
+function enterLobby(socket, roomId, room) {
+  const { userId } = socket.data;
+  const previous = room.lobby.get(userId);
+  if (previous) {
+    clearTimeout(previous.timer);
+  }
+
+  const entry = {
+    userId,
+    socketId: socket.id,
+    requestedAt: Date.now(),
+    timer: null,
+  };
+  entry.timer = setTimeout(() => {
+    if (room.lobby.get(userId) !== entry) {
+      return;
+    }
+    room.lobby.delete(userId);
+    shareLobbyEntry(roomId, userId);
+    io.to(entry.socketId).emit("lobby-timeout", { roomId });
+    emitToHost(room, "join-request-cancelled", {
+      roomId,
+      userId,
+      reason: "timeout",
+    });
+  }, LOBBY_TIMEOUT_MS);
+  room.lobby.set(userId, entry);
+  shareLobbyEntry(roomId, userId);
+
+  socketLog(socket, { roomId }).info("Waiting in lobby");
+  socket.emit("in-lobby", { roomId, timeoutMs: LOBBY_TIMEOUT_MS });
+  emitToHost(room, "join-request", serializeJoinRequest(roomId, entry));
+}
+
+// Drop a socket from the lobbies it waits in (it left or disconnected)
+function leaveLobbies(socketId, onlyRoomId) {
   for (const [roomId, room] of rooms.entries()) {
-    if (room.participants.size === 0 && now - room.lastActivity > 300000) {
-      // 5 minutes
-      console.log(`Cleaning up empty room: ${roomId}`);
-      rooms.delete(roomId);
+    if (onlyRoomId && roomId !== onlyRoomId) {
+      continue;
+    }
+    for (const [userId, entry] of room.lobby.entries()) {
+      if (entry.socketId !== socketId) {
+        continue;
+      }
+      clearTimeout(entry.timer);
+      room.lobby.delete(userId);
+      shareLobbyEntry(roomId, userId);
+      emitToHost(room, "join-request-cancelled", {
+        roomId,
+        userId,
+        reason: "left",
+      });
     }
   }
-}, 60000); // Check every minute
+}
+
+// Take a waiting user's lobby entry on behalf of the host
+function takeLobbyEntry(roomId, room, userId) {
+  const entry = room.lobby.get(userId);
+  if (!entry) {
+    throw new RoomError("not-in-lobby", "User is not waiting to join");
+  }
+
+  clearTimeout(entry.timer);
+  room.lobby.delete(userId);
+  shareLobbyEntry(roomId, userId);
+  return entry;
+}
+
+function admitSocket(socket, roomId, room, by) {
+  socket.emit("admitted", { roomId, by });
+  addSocketToRoom(socket, roomId, room);
+}
+
+// Host-only actions: the caller must be in the room and be its host
+function requireHost(socket, roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !isSocketInRoom(room, socket)) {
+    throw new RoomError("not-in-room", "Not in room");
+  }
+  if (room.hostId !== socket.data.userId) {
+    throw new RoomError("not-host", "Only the host can do this");
+  }
+  return room;
+}
+
+function requireParticipant(room, userId) {
+  const participant = room.participants.get(userId);
+  if (!participant) {
+    throw new RoomError(
+      "target-not-in-room",
+      "Target is not a member of this room"
+    );
+  }
+  return participant;
+}
+
+function emitRoomError(socket, event, error) {
+  if (error instanceof RoomError) {
+    socket.emit("error", { code: error.code, message: error.message, event });
+    return;
+  }
+
+  socketLog(socket).error("Error handling event", { event, error });
+  socket.emit("error", { message: `Failed to process ${event}` });
+}
+
+// Token bucket budgets per event: `capacity` is the burst size and
+// `refillPerSec` the sustained rate. Each socket has its own buckets and the
+// user shares a second set (twice as large) across all of their sockets.
+// RATE_LIMITS (JSON) overrides entries, e.g. {"call_user":{"capacity":3}}.
+const RATE_LIMITS = {
+  default: { capacity: 50, refillPerSec: 10 },
+  call_user: { capacity: 5, refillPerSec: 0.1 },
+  "create-room": { capacity: 5, refillPerSec: 0.1 },
+  "join-room": { capacity: 10, refillPerSec: 1 },
+  offer: { capacity: 20, refillPerSec: 2 },
+  answer: { capacity: 20, refillPerSec: 2 },
+  "ice-candidate": { capacity: 100, refillPerSec: 20 },
+  "room-message": { capacity: 20, refillPerSec: 2 },
+  typing: { capacity: 20, refillPerSec: 4 },
+};
+
+for (const [event, limit] of Object.entries(
+  JSON.parse(process.env.RATE_LIMITS || "{}")
+)) {
+  RATE_LIMITS[event] = {
+    ...(RATE_LIMITS[event] || RATE_LIMITS.default),
+    ...limit,
+  };
+}
+
+const RATE_LIMIT_WINDOW_MS = 60000;
+// Rejected events within the window before the socket is cut off
+const RATE_LIMIT_MAX_VIOLATIONS =
+  Number(process.env.RATE_LIMIT_MAX_VIOLATIONS) || 30;
+const userRateBuckets = new Map(); // userId -> Map(event -> bucket)
+
+// Socket middleware enforcing RATE_LIMITS on every incoming event
+function rateLimiter(socket) {
+  const socketBuckets = new Map();
+  const violations = [];
+
+  return ([event], next) => {
+    if (!socket.connected) {
+      return;
+    }
+
+    // Events without their own budget share the default bucket, so made-up
+    // event names neither dodge the limit nor grow the bucket maps
+    const key = RATE_LIMITS[event] ? event : "default";
+    const limit = RATE_LIMITS[key];
+    const { userId } = socket.data;
+    if (!userRateBuckets.has(userId)) {
+      userRateBuckets.set(userId, new Map());
+    }
+
+    const retryAfterMs = Math.max(
+      takeToken(socketBuckets, key, limit.capacity, limit.refillPerSec),
+      takeToken(
+        userRateBuckets.get(userId),
+        key,
+        limit.capacity * 2,
+        limit.refillPerSec * 2
+      )
+    );
+    if (retryAfterMs === 0) {
+      // Nothing handles unknown events; drop them here
+      if (socket.listeners(event).length > 0) {
+        next();
+      }
+      return;
+    }
+
+    const now = Date.now();
+    violations.push(now);
+    while (violations[0] <= now - RATE_LIMIT_WINDOW_MS) {
+      violations.shift();
+    }
+
+    if (violations.length >= RATE_LIMIT_MAX_VIOLATIONS) {
+      logSecurityEvent("rate-limit-disconnect", {
+        event,
+        userId,
+        socketId: socket.id,
+        violations: violations.length,
+      });
+      socket.emit("error", {
+        code: "rate-limit-disconnect",
+        message: "Too many requests",
+      });
+      socket.disconnect(true);
+      return;
+    }
+
+    socket.emit("error", {
+      code: "rate-limited",
+      message: `Too many ${event} events`,
+      event,
+      retryAfterMs,
+    });
+  };
+}
+
+// Remove a gone socket from its rooms and, if it was the user's registered
+// socket, hang up their live calls
+function finalizeDisconnect(socketId, userId, wasRegistered) {
+  for (const roomId of rooms.keys()) {
+    removeDeviceFromRoom(roomId, socketId, userId, { reason: "disconnected" });
+  }
+
+  // Only the registered socket speaks for the user; a stale or
+  // unregistered socket closing must not touch their calls
+  if (!wasRegistered) {
+    return;
+  }
+
+  if (connectedUsers.get(userId) === socketId) {
+    connectedUsers.delete(userId);
+  }
+  persistUser(userId, { lastSeenAt: Date.now() });
+  logger.info("User disconnected", { socketId, userId });
+
+  // Back on another socket already
+  if (connectedUsers.has(userId)) {
+    return;
+  }
+
+  // Hang up any live calls the user was part of
+  for (const call of activeCalls.values()) {
+    if (
+      isCallTerminal(call) ||
+      (call.callerId !== userId && call.calleeId !== userId)
+    ) {
+      continue;
+    }
+
+    hangUpCall(call, userId, "disconnected");
+    notifyCallPeer(call, userId, { reason: "disconnected" });
+  }
+}
+
+function createSession(socket) {
+  const sessionToken = crypto.randomBytes(24).toString("base64url");
+  sessions.set(sessionToken, {
+    userId: socket.data.userId,
+    socketId: socket.id,
+    disconnectedAt: null,
+    registered: false,
+    timer: null,
+  });
+  socket.data.sessionToken = sessionToken;
+  socket.emit("session", { sessionToken, graceMs: RECONNECT_GRACE_MS });
+}
+
+// Move a reconnecting user's room slots, registration and queued signals
+// over to their new socket
+function resumeSession(socket, sessionToken) {
+  const session = sessions.get(sessionToken);
+  const previousSocketId = session.socketId;
+
+  clearTimeout(session.timer);
+  session.timer = null;
+  session.disconnectedAt = null;
+  session.socketId = socket.id;
+  socket.data.sessionToken = sessionToken;
+  socket.emit("session", { sessionToken, graceMs: RECONNECT_GRACE_MS });
+
+  const resumedRooms = [];
+  for (const [roomId, room] of rooms.entries()) {
+    const participant = room.participants.get(session.userId);
+    if (!participant || !participant.devices.has(previousSocketId)) {
+      continue;
+    }
+
+    participant.devices.delete(previousSocketId);
+    participant.devices.set(socket.id, {
+      socketId: socket.id,
+      joinedAt: Date.now(),
+      reconnecting: false,
+    });
+    room.lastActivity = Date.now();
+    shareParticipant(roomId, session.userId);
+    socket.join(roomId);
+    resumedRooms.push(roomId);
+
+    socket.to(roomId).emit("user-reconnected", {
+      userId: session.userId,
+      deviceId: socket.id,
+      previousDeviceId: previousSocketId,
+      participants: room.participants.size,
+    });
+  }
+
+  socketLog(socket).info("Session resumed", {
+    previousSocketId,
+    rooms: resumedRooms,
+  });
+  socket.emit("session-resumed", {
+    previousDeviceId: previousSocketId,
+    rooms: resumedRooms,
+  });
+
+  if (session.registered && !connectedUsers.has(session.userId)) {
+    connectedUsers.set(session.userId, socket.id);
+  }
+  // Room signals are queued for room-only clients too, which never register
+  deliverPendingSignals(session.userId, socket);
+}
+
+// Authenticate the handshake before any event handler runs
+io.use(async (socket, next) => {
+  try {
+    const { auth = {}, query = {}, headers = {} } = socket.handshake;
+    let token = auth.token || query.token;
+
+    if (!token && typeof headers.authorization === "string") {
+      token = headers.authorization.replace(/^Bearer\s+/i, "");
+    }
+
+    if (!token || typeof token !== "string") {
+      return next(new Error("Authentication token required"));
+    }
+
+    const identity = await tokenVerifier(token, socket.handshake);
+    if (!identity || !identity.userId || typeof identity.userId !== "string") {
+      return next(new Error("Token does not identify a user"));
+    }
+
+    socket.data.userId = identity.userId;
+    socket.data.claims = identity.claims || {};
+
+    // A session token is only honoured for the same user, while its
+    // previous socket is gone and the grace window is still open
+    const session = sessions.get(auth.sessionToken);
+    if (
+      session &&
+      session.userId === identity.userId &&
+      session.disconnectedAt !== null
+    ) {
+      socket.data.resumeToken = auth.sessionToken;
+    }
+
+    next();
+  } catch (error) {
+    logger.warn("Handshake rejected", { socketId: socket.id, error });
+    next(new Error("Authentication failed"));
+  }
+});
 
 io.on("connection", (socket) => {
-  console.log("User connected:", socket.id);
+  const log = socketLog(socket);
+  log.info("User connected");
+  socket.use(rateLimiter(socket));
+
+  if (socket.data.resumeToken && sessions.has(socket.data.resumeToken)) {
+    resumeSession(socket, socket.data.resumeToken);
+  } else {
+    createSession(socket);
+  }
+
+  // Create a room with options: { roomId?, maxParticipants, mediaType,
+  // locked, password, expiresIn }
+  socket.on("create-room", async (options = {}) => {
+    try {
+      if (!checkPayload(socket, "create-room", options)) {
+        return;
+      }
+      socket.emit(
+        "room-created",
+        await createRoomFor(socket.data.userId, options)
+      );
+    } catch (error) {
+      emitRoomError(socket, "create-room", error);
+    }
+  });
 
   // Event for when a user joins a room
-  socket.on("join-room", (roomId) => {
+  socket.on("join-room", async (payload) => {
     try {
+      // Accept either a bare room id or { roomId, userId, password }
+      const roomId =
+        payload && typeof payload === "object" ? payload.roomId : payload;
+      const password =
+        payload && typeof payload === "object" ? payload.password : undefined;
+
+      if (
+        payload &&
+        typeof payload === "object" &&
+        !isAuthorizedAs(socket, payload.userId)
+      ) {
+        rejectIdentityMismatch(socket, "join-room", payload.userId);
+        return;
+      }
+
       // Validate room ID
       if (!roomId || typeof roomId !== "string") {
         socket.emit("error", { message: "Invalid room ID" });
         return;
       }
 
-      // Get or create room
-      if (!rooms.has(roomId)) {
-        rooms.set(roomId, {
-          participants: new Map(),
-          createdAt: Date.now(),
-          lastActivity: Date.now(),
-        });
+      const { userId } = socket.data;
+
+      // Get or create room
+      if (rooms.has(roomId) && isRoomExpired(rooms.get(roomId))) {
+        closeRoom(roomId, "expired");
+        socket.emit("error", {
+          code: "room-expired",
+          message: "Room has expired",
+          roomId,
+        });
+        return;
+      }
+      if (pendingRoomIds.has(roomId)) {
+        socket.emit("error", {
+          code: "room-pending",
+          message: "Room is still being created",
+          roomId,
+        });
+        return;
+      }
+      if (!rooms.has(roomId)) {
+        createRoom(roomId, parseRoomOptions(), { createdBy: userId });
+      }
+
+      const room = rooms.get(roomId);
+      let existing = room.participants.get(userId);
+
+      if (!existing && room.kicked.has(userId)) {
+        socket.emit("error", {
+          code: "kicked",
+          message: "You were removed from this room",
+          roomId,
+        });
+        return;
+      }
+
+      if (!existing && room.options.passwordHash) {
+        if (!(await checkRoomPassword(room, password))) {
+          socket.emit("error", {
+            code: "invalid-password",
+            message: "Invalid room password",
+            roomId,
+          });
+          return;
+        }
+
+        // The room may have closed while the password was checked
+        if (!socket.connected) {
+          return;
+        }
+        if (rooms.get(roomId) !== room) {
+          socket.emit("error", {
+            code: "room-closed",
+            message: "Room was closed",
+            roomId,
+          });
+          return;
+        }
+        existing = room.participants.get(userId);
+      }
+
+      // A room left without a host seats the next joiner as its host, as
+      // nobody would be there to answer a knock
+      const isHost = !room.hostId || room.hostId === userId;
+
+      // With a waiting room everyone but the host knocks first. This also
+      // works while the room is locked, so the host can still let people in.
+      if (!existing && room.options.waitingRoom && !isHost) {
+        enterLobby(socket, roomId, room);
+        return;
+      }
+
+      if (!existing && room.options.locked && !isHost) {
+        socket.emit("error", {
+          code: "room-locked",
+          message: "Room is locked",
+          roomId,
+        });
+        return;
+      }
+
+      // Check if room is full. Another device of a present user takes no
+      // extra slot.
+      if (!existing && room.participants.size >= room.options.maxParticipants) {
+        signalingEvents.inc({ event: "room-full" });
+        socket.emit("room-full", { roomId });
+        log.info("Room is full", { roomId });
+        return;
+      }
+
+      addSocketToRoom(socket, roomId, room);
+    } catch (error) {
+      log.error("Error joining room", { error });
+      socket.emit("error", { message: "Failed to join room" });
+    }
+  });
+
+  // Relay the offer from one peer to a specific peer
+  socket.on("offer", (data) => {
+    try {
+      if (!checkPayload(socket, "offer", data)) {
+        return;
+      }
+      const { offer, roomId, targetUserId, targetDeviceId, signalId } = data;
+
+      if (!roomId || !targetUserId) {
+        throw new SignalValidationError(
+          "invalid-target",
+          "roomId and targetUserId are required"
+        );
+      }
+      if (!offer) {
+        throw new SignalValidationError("invalid-sdp", "offer is required");
+      }
+
+      const room = checkRelayMembership(socket, "offer", data);
+      if (!room) {
+        return;
+      }
+
+      const description = sanitizeSessionDescription(offer, "offer");
+
+      log.info("Relaying offer", {
+        roomId,
+        targetUserId,
+        ...callLogFields(findRoomCall(roomId, socket.data.userId)),
+      });
+
+      // Send to the specific target user
+      relaySignal(
+        socket,
+        room,
+        targetUserId,
+        "offer",
+        {
+          offer: description,
+          fromUserId: socket.data.userId,
+          fromDeviceId: socket.id,
+        },
+        { targetDeviceId, signalId }
+      );
+    } catch (error) {
+      emitSignalError(socket, "offer", error);
+    }
+  });
+
+  // Relay the answer from one peer to a specific peer
+  socket.on("answer", (data) => {
+    try {
+      if (!checkPayload(socket, "answer", data)) {
+        return;
+      }
+      const { answer, roomId, targetUserId, targetDeviceId, signalId } = data;
+
+      if (!roomId || !targetUserId) {
+        throw new SignalValidationError(
+          "invalid-target",
+          "roomId and targetUserId are required"
+        );
+      }
+      if (!answer) {
+        throw new SignalValidationError("invalid-sdp", "answer is required");
+      }
+
+      const room = checkRelayMembership(socket, "answer", data);
+      if (!room) {
+        return;
+      }
+
+      const description = sanitizeSessionDescription(answer, "answer");
+
+      log.info("Relaying answer", {
+        roomId,
+        targetUserId,
+        ...callLogFields(findRoomCall(roomId, socket.data.userId)),
+      });
+
+      // Send to the specific target user
+      relaySignal(
+        socket,
+        room,
+        targetUserId,
+        "answer",
+        {
+          answer: description,
+          fromUserId: socket.data.userId,
+          fromDeviceId: socket.id,
+        },
+        { targetDeviceId, signalId }
+      );
+    } catch (error) {
+      emitSignalError(socket, "answer", error);
+    }
+  });
+
+  // Relay ICE candidates to specific user
+  socket.on("ice-candidate", (data) => {
+    try {
+      if (!checkPayload(socket, "ice-candidate", data)) {
+        return;
+      }
+      const { candidate, roomId, targetUserId, targetDeviceId, signalId } =
+        data;
+
+      if (!roomId || !targetUserId) {
+        throw new SignalValidationError(
+          "invalid-target",
+          "roomId and targetUserId are required"
+        );
+      }
+      if (!candidate) {
+        throw new SignalValidationError(
+          "invalid-candidate",
+          "candidate is required"
+        );
+      }
+
+      const room = checkRelayMembership(socket, "ice-candidate", data);
+      if (!room) {
+        return;
+      }
+
+      const allowed = sanitizeCandidate(candidate);
+      if (!allowed) {
+        // Filtered by ICE_CANDIDATE_POLICY; the peer never sees it
+        return;
+      }
+
+      log.debug("Relaying ICE candidate", {
+        roomId,
+        targetUserId,
+        ...callLogFields(findRoomCall(roomId, socket.data.userId)),
+      });
+
+      // Send to the specific target user
+      relaySignal(
+        socket,
+        room,
+        targetUserId,
+        "ice-candidate",
+        {
+          candidate: allowed,
+          fromUserId: socket.data.userId,
+          fromDeviceId: socket.id,
+        },
+        { targetDeviceId, signalId }
+      );
+    } catch (error) {
+      emitSignalError(socket, "ice-candidate", error);
+    }
+  });
+
+  // Text chat (and small JSON payloads, as a fallback while the data
+  // channel is not up) for everyone in the room: { roomId, text?, data?,
+  // clientMessageId? }
+  socket.on("room-message", (payload) => {
+    try {
+      if (!checkPayload(socket, "room-message", payload)) {
+        return;
+      }
+
+      const { roomId, text, data, clientMessageId } = payload;
+      const room = checkSenderMembership(socket, "room-message", roomId);
+      if (!room) {
+        return;
       }
 
-      const room = rooms.get(roomId);
-
-      // Check if room is full
-      if (room.participants.size >= MAX_PARTICIPANTS_PER_ROOM) {
-        socket.emit("room-full", { roomId });
-        console.log(`Room ${roomId} is full. User ${socket.id} cannot join.`);
+      if (text === undefined && data === undefined) {
+        socket.emit("error", {
+          code: "invalid-message",
+          message: "Message needs text or data",
+          event: "room-message",
+        });
+        return;
+      }
+      if (
+        text !== undefined &&
+        (typeof text !== "string" || text.length > MAX_MESSAGE_LENGTH)
+      ) {
+        socket.emit("error", {
+          code: "invalid-message",
+          message: `text must be a string of at most ${MAX_MESSAGE_LENGTH} characters`,
+          event: "room-message",
+        });
+        return;
+      }
+      if (
+        data !== undefined &&
+        Buffer.byteLength(JSON.stringify(data) || "") > MAX_MESSAGE_DATA_BYTES
+      ) {
+        socket.emit("error", {
+          code: "invalid-message",
+          message: `data must serialize to at most ${MAX_MESSAGE_DATA_BYTES} bytes`,
+          event: "room-message",
+        });
         return;
       }
 
-      // Join the room
-      socket.join(roomId);
-
-      // Store user info
-      const userInfo = {
-        id: socket.id,
-        joinedAt: Date.now(),
+      const message = {
+        messageId: uuidv4(),
+        clientMessageId,
         roomId,
+        senderId: socket.data.userId,
+        text,
+        data,
+        timestamp: Date.now(),
       };
 
-      room.participants.set(socket.id, userInfo);
+      room.messages.push(message);
+      if (room.messages.length > ROOM_HISTORY_LIMIT) {
+        room.messages.shift();
+      }
       room.lastActivity = Date.now();
+      shareRoom(roomId);
 
-      console.log(
-        `User ${socket.id} joined room ${roomId}. Participants: ${room.participants.size}`
-      );
-
-      // Notify the user about successful join
-      socket.emit("joined-room", {
-        roomId,
-        userId: socket.id,
-        participants: room.participants.size,
-      });
-
-      // Notify other users in the room that a new user has joined
-      socket.to(roomId).emit("user-joined", {
-        userId: socket.id,
-        participants: room.participants.size,
-      });
+      io.to(roomId).emit("room-message", message);
+    } catch (error) {
+      log.error("Error handling room message", { error });
+      socket.emit("error", { message: "Failed to send message" });
+    }
+  });
 
-      // Send current participants list to the new user
-      const participantsList = Array.from(room.participants.values()).filter(
-        (user) => user.id !== socket.id
-      );
+  // Typing indicator: { roomId, typing }
+  socket.on("typing", (payload) => {
+    try {
+      if (!checkPayload(socket, "typing", payload)) {
+        return;
+      }
 
-      if (participantsList.length > 0) {
-        socket.emit("participants-list", { participants: participantsList });
+      const { roomId, typing } = payload;
+      const room = checkSenderMembership(socket, "typing", roomId);
+      if (!room) {
+        return;
       }
+
+      socket.to(roomId).emit("typing", {
+        roomId,
+        userId: socket.data.userId,
+        typing: Boolean(typing),
+      });
     } catch (error) {
-      console.error("Error joining room:", error);
-      socket.emit("error", { message: "Failed to join room" });
+      emitRoomError(socket, "typing", error);
     }
   });
 
-  // Relay the offer from one peer to a specific peer
-  socket.on("offer", (data) => {
+  // A participant's own mic/camera/screen-share/hand-raise flags:
+  // { roomId, audio?, video?, screenShare?, handRaised? }
+  socket.on("media-state", (data = {}) => {
     try {
-      const { offer, roomId, targetUserId } = data;
-
-      if (!roomId || !offer || !targetUserId) {
-        socket.emit("error", { message: "Invalid offer data" });
+      if (!checkPayload(socket, "media-state", data)) {
         return;
       }
 
-      const room = rooms.get(roomId);
-      if (!room || !room.participants.has(socket.id)) {
-        socket.emit("error", { message: "Not in room" });
+      const room = checkSenderMembership(socket, "media-state", data.roomId);
+      if (!room) {
         return;
       }
 
-      console.log(`Relaying offer from ${socket.id} to user ${targetUserId}`);
+      const changes = {};
+      for (const flag of MEDIA_STATE_FLAGS) {
+        if (data[flag] === undefined) {
+          continue;
+        }
+        if (typeof data[flag] !== "boolean") {
+          socket.emit("error", {
+            code: "invalid-media-state",
+            message: `${flag} must be a boolean`,
+            event: "media-state",
+          });
+          return;
+        }
+        changes[flag] = data[flag];
+      }
+
+      const participant = room.participants.get(socket.data.userId);
+      participant.media = { ...participant.media, ...changes };
+      room.lastActivity = Date.now();
+      shareParticipant(data.roomId, socket.data.userId);
 
-      // Send to the specific target user
-      socket.to(targetUserId).emit("offer", {
-        offer,
-        fromUserId: socket.id,
+      io.to(data.roomId).emit("participant-updated", {
+        roomId: data.roomId,
+        userId: socket.data.userId,
+        media: participant.media,
+        changes,
       });
     } catch (error) {
-      console.error("Error handling offer:", error);
-      socket.emit("error", { message: "Failed to process offer" });
+      emitRoomError(socket, "media-state", error);
     }
   });
 
-  // Relay the answer from one peer to a specific peer
-  socket.on("answer", (data) => {
+  // Handle user leaving room
+  socket.on("leave-room", (payload) => {
     try {
-      const { answer, roomId, targetUserId } = data;
-
-      if (!roomId || !answer || !targetUserId) {
-        socket.emit("error", { message: "Invalid answer data" });
+      const roomId =
+        payload && typeof payload === "object" ? payload.roomId : payload;
+
+      if (
+        payload &&
+        typeof payload === "object" &&
+        !isAuthorizedAs(socket, payload.userId)
+      ) {
+        rejectIdentityMismatch(socket, "leave-room", payload.userId);
         return;
       }
 
       const room = rooms.get(roomId);
-      if (!room || !room.participants.has(socket.id)) {
-        socket.emit("error", { message: "Not in room" });
+      if (room) {
+        leaveLobbies(socket.id, roomId);
+      }
+
+      if (room && isSocketInRoom(room, socket)) {
+        socket.leave(roomId);
+        removeDeviceFromRoom(roomId, socket.id, socket.data.userId);
+      }
+    } catch (error) {
+      log.error("Error leaving room", { error });
+    }
+  });
+
+  // Host removes a participant. Kicked users cannot join again.
+  socket.on("kick-participant", (payload = {}) => {
+    try {
+      if (!checkPayload(socket, "kick-participant", payload)) {
         return;
       }
+      const { roomId, userId } = payload;
+      const room = requireHost(socket, roomId);
+      const participant = requireParticipant(room, userId);
+      if (userId === socket.data.userId) {
+        throw new RoomError(
+          "invalid-target",
+          "The host cannot kick themselves"
+        );
+      }
 
-      console.log(`Relaying answer from ${socket.id} to user ${targetUserId}`);
+      const deviceIds = Array.from(participant.devices.keys());
+      io.to(deviceIds).emit("kicked", { roomId, by: socket.data.userId });
+      io.in(deviceIds).socketsLeave(roomId);
 
-      // Send to the specific target user
-      socket.to(targetUserId).emit("answer", {
-        answer,
-        fromUserId: socket.id,
+      room.kicked.add(userId);
+      persistRoom(roomId);
+      removeParticipant(roomId, room, userId, {
+        reason: "kicked",
+        by: socket.data.userId,
       });
     } catch (error) {
-      console.error("Error handling answer:", error);
-      socket.emit("error", { message: "Failed to process answer" });
+      emitRoomError(socket, "kick-participant", error);
     }
   });
 
-  // Relay ICE candidates to specific user
-  socket.on("ice-candidate", (data) => {
+  // Host asks a participant to mute their audio or video
+  socket.on("request-mute", (payload = {}) => {
     try {
-      const { candidate, roomId, targetUserId } = data;
-
-      if (!roomId || !candidate || !targetUserId) {
-        socket.emit("error", { message: "Invalid ICE candidate data" });
+      if (!checkPayload(socket, "request-mute", payload)) {
         return;
       }
-
-      const room = rooms.get(roomId);
-      if (!room || !room.participants.has(socket.id)) {
-        socket.emit("error", { message: "Not in room" });
-        return;
+      const { roomId, userId, kind = "audio" } = payload;
+      const room = requireHost(socket, roomId);
+      const participant = requireParticipant(room, userId);
+      if (!MEDIA_TYPES.includes(kind)) {
+        throw new RoomError(
+          "invalid-kind",
+          `kind must be one of ${MEDIA_TYPES.join(", ")}`
+        );
       }
 
-      console.log(
-        `Relaying ICE candidate from ${socket.id} to user ${targetUserId}`
-      );
-
-      // Send to the specific target user
-      socket.to(targetUserId).emit("ice-candidate", {
-        candidate,
-        fromUserId: socket.id,
+      io.to(Array.from(participant.devices.keys())).emit("mute-requested", {
+        roomId,
+        kind,
+        by: socket.data.userId,
       });
     } catch (error) {
-      console.error("Error handling ICE candidate:", error);
-      socket.emit("error", { message: "Failed to process ICE candidate" });
+      emitRoomError(socket, "request-mute", error);
     }
   });
 
-  // Handle user leaving room
-  socket.on("leave-room", (roomId) => {
+  for (const [event, locked] of [
+    ["lock-room", true],
+    ["unlock-room", false],
+  ]) {
+    socket.on(event, (payload = {}) => {
+      try {
+        if (!checkPayload(socket, event, payload)) {
+          return;
+        }
+        const { roomId } = payload;
+        const room = requireHost(socket, roomId);
+        room.options.locked = locked;
+        persistRoom(roomId);
+        io.to(roomId).emit("room-lock-changed", {
+          roomId,
+          locked,
+          by: socket.data.userId,
+        });
+      } catch (error) {
+        emitRoomError(socket, event, error);
+      }
+    });
+  }
+
+  // Host hands the role to another participant
+  socket.on("transfer-host", (payload = {}) => {
     try {
-      const room = rooms.get(roomId);
-      if (room && room.participants.has(socket.id)) {
-        room.participants.delete(socket.id);
-        room.lastActivity = Date.now();
+      if (!checkPayload(socket, "transfer-host", payload)) {
+        return;
+      }
+      const { roomId, userId } = payload;
+      const room = requireHost(socket, roomId);
+      requireParticipant(room, userId);
+      setRoomHost(roomId, room, userId, "transferred");
+    } catch (error) {
+      emitRoomError(socket, "transfer-host", error);
+    }
+  });
 
-        socket.leave(roomId);
+  // Host lets a waiting user in
+  socket.on("admit", (payload = {}) => {
+    try {
+      if (!checkPayload(socket, "admit", payload)) {
+        return;
+      }
+      const { roomId, userId } = payload;
+      const room = requireHost(socket, roomId);
+      const entry = takeLobbyEntry(roomId, room, userId);
+      const waiting = io.sockets.sockets.get(entry.socketId);
+      if (!waiting && !brokerClient) {
+        throw new RoomError("not-in-lobby", "User is not waiting to join");
+      }
 
-        console.log(
-          `User ${socket.id} left room ${roomId}. Remaining participants: ${room.participants.size}`
-        );
+      if (room.participants.size >= room.options.maxParticipants) {
+        signalingEvents.inc({ event: "room-full" });
+        io.to(entry.socketId).emit("room-full", { roomId });
+        throw new RoomError("room-full", "Room is full");
+      }
 
-        // Notify other users in the room
-        socket.to(roomId).emit("user-left", {
-          userId: socket.id,
-          participants: room.participants.size,
+      if (!waiting) {
+        // The waiting socket is on another instance, which seats it
+        publishClusterState({
+          type: "admit",
+          roomId,
+          socketId: entry.socketId,
+          by: socket.data.userId,
         });
+        return;
+      }
 
-        // Clean up empty room after delay
-        if (room.participants.size === 0) {
-          setTimeout(() => {
-            if (rooms.get(roomId)?.participants.size === 0) {
-              console.log(`Removing empty room: ${roomId}`);
-              rooms.delete(roomId);
-            }
-          }, 30000); // 30 second delay
-        }
+      admitSocket(waiting, roomId, room, socket.data.userId);
+    } catch (error) {
+      emitRoomError(socket, "admit", error);
+    }
+  });
+
+  // Host turns a waiting user away
+  socket.on("deny", (payload = {}) => {
+    try {
+      if (!checkPayload(socket, "deny", payload)) {
+        return;
       }
+      const { roomId, userId } = payload;
+      const room = requireHost(socket, roomId);
+      const entry = takeLobbyEntry(roomId, room, userId);
+      io.to(entry.socketId).emit("denied", { roomId, by: socket.data.userId });
     } catch (error) {
-      console.error("Error leaving room:", error);
+      emitRoomError(socket, "deny", error);
     }
   });
 
   // Register userId
-  socket.on("register", ({ userId }) => {
+  socket.on("register", (payload = {}) => {
+    if (!checkPayload(socket, "register", payload)) {
+      return;
+    }
+    let { userId } = payload;
+    if (!isAuthorizedAs(socket, userId)) {
+      rejectIdentityMismatch(socket, "register", userId);
+      return;
+    }
+
+    userId = socket.data.userId;
     connectedUsers.set(userId, socket.id);
-    console.log(`User registered: ${userId}`);
+    const now = Date.now();
+    persistUser(userId, { lastRegisteredAt: now, lastSeenAt: now });
+    log.info("User registered");
+
+    deliverPendingSignals(userId, socket);
+
+    // Hand over calls missed while the user was away
+    const missed = missedCalls.get(userId);
+    if (missed && missed.length > 0) {
+      socket.emit("missed_calls", { calls: missed });
+      missedCalls.delete(userId);
+    }
   });
 
-  socket.on("call_user", ({ callerId, calleeId, roomId }) => {
-    const calleeSocketId = connectedUsers.get(calleeId);
+  // correlationId is optional; the server makes one up when it is missing
+  socket.on("call_user", (payload = {}) => {
+    if (!checkPayload(socket, "call_user", payload)) {
+      return;
+    }
+    let { callerId } = payload;
+    const { calleeId, roomId, correlationId } = payload;
+    if (!isAuthorizedAs(socket, callerId)) {
+      rejectIdentityMismatch(socket, "call_user", callerId);
+      return;
+    }
+
+    try {
+      callerId = socket.data.userId;
+      if (!calleeId || typeof calleeId !== "string") {
+        throw new CallStateError("invalid-callee", "calleeId is required");
+      }
+      if (calleeId === callerId) {
+        throw new CallStateError("invalid-callee", "Cannot call yourself");
+      }
+
+      signalingEvents.inc({ event: "call_user" });
+      const presence = getPresence(calleeId);
 
-    if (calleeSocketId) {
-      console.log(`Calling ${calleeId} from ${callerId}, Room ID: ${roomId}`);
+      const waiting =
+        presence.status === "in-call" && getUserSettings(calleeId).callWaiting;
 
-      io.to(calleeSocketId).emit("incoming_call", {
+      const offline = presence.status === "offline";
+      const callOptions = {
         callerId,
         calleeId,
         roomId,
-      });
-    } else {
-      console.log(`Callee ${calleeId} not connected, sending busy`);
-      socket.emit("call_busy");
+        correlationId:
+          typeof correlationId === "string" && correlationId.length <= 128
+            ? correlationId
+            : undefined,
+      };
+
+      if (!["available", "offline"].includes(presence.status) && !waiting) {
+        const refused = recordRefusedCall(
+          callOptions,
+          presence.status === "dnd" ? "dnd" : "busy"
+        );
+        log.info("Callee is busy", {
+          calleeId,
+          ...callLogFields(refused),
+          status: presence.status,
+        });
+        signalingEvents.inc({ event: "call_busy" });
+        socket.emit("call_busy", {
+          calleeId,
+          callId: refused.callId,
+          reason: presence.status,
+        });
+        return;
+      }
+
+      const call = createCall(callOptions);
+      log.info("Calling user", { calleeId, ...callLogFields(call) });
+
+      startRingTimeout(call);
+      socket.emit("call_initiated", serializeCall(call));
+
+      const invite = {
+        callId: call.callId,
+        correlationId: call.correlationId,
+        callerId,
+        calleeId,
+        roomId,
+      };
+      // The caller hears back through signal_ack, as for relayed signals
+      const signal = {
+        signalId: uuidv4(),
+        event: waiting ? "incoming_call_waiting" : "incoming_call",
+        fromUserId: callerId,
+        fromSocketId: socket.id,
+        targetUserId: calleeId,
+      };
+      if (offline) {
+        // Ring the callee as soon as they come back, until the ring timeout
+        log.info("Callee not connected, queuing invite", callLogFields(call));
+        queueSignal(calleeId, "incoming_call", invite, signal);
+      } else {
+        const data = waiting
+          ? { ...invite, activeCallId: presence.currentCallId }
+          : invite;
+        if (emitToUser(calleeId, signal.event, data)) {
+          ackSignal(signal, "delivered");
+        }
+      }
+    } catch (error) {
+      emitCallError(socket, "call_user", error);
+    }
+  });
+
+  // Update the user's own availability: { dnd?, callWaiting? }
+  socket.on("set_presence", (payload = {}) => {
+    if (!checkPayload(socket, "set_presence", payload)) {
+      return;
+    }
+    const { dnd, callWaiting } = payload;
+    const { userId } = socket.data;
+    const settings = { ...getUserSettings(userId) };
+
+    if (typeof dnd === "boolean") {
+      settings.dnd = dnd;
+    }
+    if (typeof callWaiting === "boolean") {
+      settings.callWaiting = callWaiting;
+    }
+
+    userSettings.set(userId, settings);
+    persistUser(userId, {});
+    socket.emit("presence", { [userId]: getPresence(userId) });
+  });
+
+  // Look up presence for a list of users
+  socket.on("get_presence", (payload = {}) => {
+    if (!checkPayload(socket, "get_presence", payload)) {
+      return;
+    }
+    const { userIds } = payload;
+    if (!Array.isArray(userIds)) {
+      socket.emit("error", { message: "Invalid user IDs" });
+      return;
     }
+
+    const result = {};
+    for (const userId of userIds) {
+      result[userId] = getPresence(userId);
+    }
+    socket.emit("presence", result);
   });
 
   // Callee accepts call
-  socket.on("accept_call", (callData) => {
-    console.log(callData, "logging  acceptCall");
-    const callerSocketId = connectedUsers.get(callData.callerId);
-    if (callerSocketId) {
-      io.to(callerSocketId).emit("call_accepted", callData);
+  socket.on("accept_call", (callData = {}) => {
+    if (!checkPayload(socket, "accept_call", callData)) {
+      return;
+    }
+    // The accepting socket is the callee
+    if (!isAuthorizedAs(socket, callData.calleeId)) {
+      rejectIdentityMismatch(socket, "accept_call", callData.calleeId);
+      return;
+    }
+
+    try {
+      const call = resolveCall(socket.data.userId, callData);
+      log.debug("accept_call received", {
+        ...callLogFields(call),
+        payload: callData,
+      });
+      if (call.calleeId !== socket.data.userId) {
+        throw new CallStateError(
+          "not-callee",
+          "Only the callee can accept a call",
+          call.callId
+        );
+      }
+
+      // Accepting a waiting call puts the user's current call on hold
+      holdOtherCalls(socket.data.userId, call.callId);
+      transitionCall(call, "accepted", socket.data.userId);
+      signalingEvents.inc({ event: "accept_call" });
+      callAnswerSeconds.observe((call.updatedAt - call.createdAt) / 1000);
+
+      emitToUser(call.callerId, "call_accepted", {
+        ...callData,
+        callId: call.callId,
+      });
+    } catch (error) {
+      emitCallError(socket, "accept_call", error);
     }
   });
 
   // Callee rejects call
-  socket.on("reject_call", (callData) => {
-    const callerSocketId = connectedUsers.get(callData.callerId);
-    if (callerSocketId) {
-      io.to(callerSocketId).emit("call_rejected");
+  socket.on("reject_call", (callData = {}) => {
+    if (!checkPayload(socket, "reject_call", callData)) {
+      return;
+    }
+    if (!isAuthorizedAs(socket, callData.calleeId)) {
+      rejectIdentityMismatch(socket, "reject_call", callData.calleeId);
+      return;
+    }
+
+    try {
+      const call = resolveCall(socket.data.userId, callData);
+      if (call.calleeId !== socket.data.userId) {
+        throw new CallStateError(
+          "not-callee",
+          "Only the callee can reject a call",
+          call.callId
+        );
+      }
+
+      transitionCall(call, "rejected", socket.data.userId);
+      signalingEvents.inc({ event: "reject_call" });
+
+      emitToUser(call.callerId, "call_rejected", { callId: call.callId });
+    } catch (error) {
+      emitCallError(socket, "reject_call", error);
+    }
+  });
+
+  socket.on("call_ringing", (callData = {}) => {
+    try {
+      if (!checkPayload(socket, "call_ringing", callData)) {
+        return;
+      }
+      const call = resolveCall(socket.data.userId, callData);
+      log.info("Callee is ringing", {
+        ...callLogFields(call),
+        payload: callData,
+      });
+      if (call.state !== "ringing") {
+        throw new CallStateError(
+          "illegal-transition",
+          `Call is ${call.state}, not ringing`,
+          call.callId
+        );
+      }
+
+      emitToUser(call.callerId, "ringing", { callId: call.callId });
+    } catch (error) {
+      emitCallError(socket, "call_ringing", error);
+    }
+  });
+
+  // Either participant reports that media is flowing
+  socket.on("call_connected", (callData = {}) => {
+    try {
+      if (!checkPayload(socket, "call_connected", callData)) {
+        return;
+      }
+      const call = resolveCall(socket.data.userId, callData);
+      if (call.state !== "connected") {
+        transitionCall(call, "connected", socket.data.userId);
+      }
+    } catch (error) {
+      emitCallError(socket, "call_connected", error);
     }
   });
 
-  socket.on("call_ringing",(callData)=>{
+  // Switch back to a call the user put on hold
+  socket.on("resume_call", (callData = {}) => {
+    try {
+      if (!checkPayload(socket, "resume_call", callData)) {
+        return;
+      }
+      const call = resolveCall(socket.data.userId, callData);
+      if (call.heldBy !== socket.data.userId) {
+        throw new CallStateError(
+          "not-on-hold",
+          "Call is not on hold",
+          call.callId
+        );
+      }
+
+      holdOtherCalls(socket.data.userId, call.callId);
+      call.heldBy = null;
+      activeCalls.set(call.callId, call);
+      notifyHoldChange(call, socket.data.userId, "call_resumed");
+    } catch (error) {
+      emitCallError(socket, "resume_call", error);
+    }
+  });
 
-    console.log(callData, "logging  call_ringing");
-    const callerSocketId = connectedUsers.get(callData.callerId);
-    if (callerSocketId) {
-      io.to(callerSocketId).emit("ringing");
+  // Query the current state of a call
+  socket.on("get_call_state", (callData = {}) => {
+    try {
+      if (!checkPayload(socket, "get_call_state", callData)) {
+        return;
+      }
+      const call = resolveCall(socket.data.userId, callData);
+      socket.emit("call_state", serializeCall(call));
+    } catch (error) {
+      emitCallError(socket, "get_call_state", error);
     }
-  })
+  });
+
   // Handle call end
-  socket.on("end_call", ({ userId }) => {
-    const otherUserSocketId = [...connectedUsers.entries()].find(
-      ([_, sId]) => sId !== socket.id
-    )?.[1];
+  socket.on("end_call", (payload = {}) => {
+    if (!checkPayload(socket, "end_call", payload)) {
+      return;
+    }
+    const { userId, callId } = payload;
+    if (!isAuthorizedAs(socket, userId)) {
+      rejectIdentityMismatch(socket, "end_call", userId);
+      return;
+    }
+
+    try {
+      const call = resolveCall(socket.data.userId, { callId });
+      hangUpCall(call, socket.data.userId);
+      notifyCallPeer(call, socket.data.userId);
+      return;
+    } catch (error) {
+      if (!(error instanceof CallStateError) || callId) {
+        emitCallError(socket, "end_call", error);
+        return;
+      }
+    }
+
+    // Legacy clients hang up calls the server never tracked: end it for
+    // whoever shares a room with the sender
+    let notified = false;
+    for (const [roomId, room] of rooms.entries()) {
+      if (isSocketInRoom(room, socket)) {
+        socket.to(roomId).emit("call_ended", {
+          roomId,
+          userId: socket.data.userId,
+        });
+        notified = true;
+      }
+    }
+
+    if (!notified) {
+      emitCallError(
+        socket,
+        "end_call",
+        new CallStateError("call-not-found", "Call not found")
+      );
+    }
+  });
+
+  // Periodic getStats() summary for a call and/or room: { callId?, roomId?,
+  // rttMs, jitterMs, packetLoss (0-1), bitrateKbps, candidateType, iceState }
+  socket.on("call-stats", (data) => {
+    try {
+      if (!data || typeof data !== "object") {
+        throw new SignalValidationError("invalid-stats", "Invalid stats");
+      }
 
-    if (otherUserSocketId) {
-      io.to(otherUserSocketId).emit("call_ended");
+      const sample = parseCallStats(data);
+      const call = data.callId
+        ? resolveCall(socket.data.userId, { callId: data.callId })
+        : null;
+      if (
+        data.roomId &&
+        !checkSenderMembership(socket, "call-stats", data.roomId)
+      ) {
+        return;
+      }
+
+      const roomId = data.roomId || (call && call.roomId) || null;
+      if (!call && !roomId) {
+        throw new SignalValidationError(
+          "invalid-stats",
+          "callId or roomId is required"
+        );
+      }
+
+      recordCallStats(socket, call, roomId, sample);
+    } catch (error) {
+      if (error instanceof CallStateError) {
+        emitCallError(socket, "call-stats", error);
+      } else {
+        emitSignalError(socket, "call-stats", error);
+      }
     }
   });
 
+  socket.on("get-ice-servers", () => {
+    socket.emit("ice-servers", buildIceServers(socket.data.userId));
+  });
+
   // Handle ping/pong for connection health
   socket.on("ping", () => {
     socket.emit("pong");
@@ -884,71 +4603,110 @@ io.on("connection", (socket) => {
 
   // Handle disconnection
   socket.on("disconnect", (reason) => {
-    console.log(`User ${socket.id} disconnected. Reason: ${reason}`);
-
-    // Remove user from all rooms
-    for (const [roomId, room] of rooms.entries()) {
-      if (room.participants.has(socket.id)) {
-        room.participants.delete(socket.id);
-        room.lastActivity = Date.now();
+    log.info("Socket disconnected", { reason });
+    leaveLobbies(socket.id);
+
+    const { userId, sessionToken } = socket.data;
+    const session = sessions.get(sessionToken);
+    const wasRegistered = connectedUsers.get(userId) === socket.id;
+    const intentional = [
+      "client namespace disconnect",
+      "server namespace disconnect",
+    ].includes(reason);
+
+    if (!session || intentional || RECONNECT_GRACE_MS <= 0) {
+      sessions.delete(sessionToken);
+      finalizeDisconnect(socket.id, userId, wasRegistered);
+      return;
+    }
 
-        console.log(
-          `User ${socket.id} removed from room ${roomId} due to disconnect`
-        );
+    // Hold the user's room slots and calls open for a while in case the
+    // client comes back with its session token
+    session.disconnectedAt = Date.now();
+    session.registered = wasRegistered;
+    if (wasRegistered) {
+      // Signals for the user are queued until they resume
+      connectedUsers.delete(userId);
+    }
 
-        // Notify other users in the room
-        socket.to(roomId).emit("user-left", {
-          userId: socket.id,
+    for (const [roomId, room] of rooms.entries()) {
+      const device = room.participants.get(userId)?.devices.get(socket.id);
+      if (device) {
+        device.reconnecting = true;
+        shareParticipant(roomId, userId);
+        socket.to(roomId).emit("user-reconnecting", {
+          userId,
+          deviceId: socket.id,
           participants: room.participants.size,
-          reason: "disconnected",
         });
-
-        // Clean up empty room after delay
-        if (room.participants.size === 0) {
-          setTimeout(() => {
-            if (rooms.get(roomId)?.participants.size === 0) {
-              console.log(`Removing empty room: ${roomId}`);
-              rooms.delete(roomId);
-            }
-          }, 30000);
-        }
       }
     }
 
-    for (const [userId, sId] of connectedUsers.entries()) {
-      if (sId === socket.id) {
-        connectedUsers.delete(userId);
-        console.log(`User disconnected: ${userId}`);
-        break;
-      }
-    }
+    session.timer = setTimeout(() => {
+      sessions.delete(sessionToken);
+      log.info("Session expired without reconnecting");
+      finalizeDisconnect(session.socketId, userId, session.registered);
+    }, RECONNECT_GRACE_MS);
   });
 
   // Error handling
   socket.on("error", (error) => {
-    console.error(`Socket error for user ${socket.id}:`, error);
+    log.error("Socket error", { error });
   });
 });
 
-// Graceful shutdown
-process.on("SIGINT", () => {
-  console.log("Shutting down gracefully...");
+// Graceful shutdown. SIGUSR2 is how nodemon restarts the server; it is
+// raised again once state is saved so nodemon sees the process go.
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info("Shutting down gracefully", { signal });
+
+  // Save batched file writes now, in case the process does not get to exit
+  // cleanly
+  flushFileWriters();
 
-  // Notify all clients
-  io.emit("server-shutdown", { message: "Server is shutting down" });
+  // Notify this instance's clients; other instances keep serving
+  io.local.emit("server-shutdown", { message: "Server is shutting down" });
 
   setTimeout(() => {
-    server.close(() => {
-      console.log("Server closed");
+    io.close(() => {
+      flushFileWriters();
+      logger.info("Server closed");
+      if (signal === "SIGUSR2") {
+        process.kill(process.pid, signal);
+        return;
+      }
       process.exit(0);
     });
   }, 1000);
-});
-
-server.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log(`WebSocket server ready for connections`);
-});
+}
+
+for (const signal of ["SIGINT", "SIGTERM", "SIGUSR2"]) {
+  process.once(signal, () => shutdown(signal));
+}
+
+restoreState()
+  .catch((error) => logger.error("Failed to restore saved state", { error }))
+  .then(() => {
+    server.listen(PORT, () => {
+      logger.info(`Server is running on http://localhost:${PORT}`, {
+        port: PORT,
+      });
+    });
+  });
 
-module.exports = { app, server, io };
+module.exports = {
+  app,
+  server,
+  io,
+  setTokenVerifier,
+  setCallRecordStore,
+  setStorageAdapter,
+  verifyJwt,
+};
 // server.js (updated full code)
@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+
+// Decode a base64url JWT segment into a JSON object
+function decodeJwtSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Malformed token");
+  }
+
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("Malformed token");
+  }
+  return value;
+}
+
+// Verify an HS256 JWT against JWT_SECRET and return its claims
+function verifyJwt(token, secret = process.env.JWT_SECRET) {
+  if (!secret) {
+    throw new Error("Authentication is not configured");
+  }
+
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw new Error("Malformed token");
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeJwtSegment(headerSegment);
+  if (header.alg !== "HS256") {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  // Compare the encoded text: decoding would skip characters outside the
+  // base64url alphabet and accept altered signatures
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${headerSegment}.${payloadSegment}`)
+      .digest("base64url")
+  );
+  const actual = Buffer.from(signatureSegment);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new Error("Invalid token signature");
+  }
+
+  const claims = decodeJwtSegment(payloadSegment);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp === "number" && now >= claims.exp) {
+    throw new Error("Token expired");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf) {
+    throw new Error("Token not yet valid");
+  }
+
+  return claims;
+}
+
+module.exports = { verifyJwt };
@@ -0,0 +1,21 @@
+// Token buckets: `capacity` tokens at most, refilled at `refillPerSec`.
+// Buckets live in a Map keyed by whatever the caller limits on.
+
+// Take one token; returns 0 on success or the ms until a token is available
+function takeToken(buckets, key, capacity, refillPerSec, now = Date.now()) {
+  const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(
+    capacity,
+    bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSec
+  );
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / refillPerSec) * 1000);
+}
+
+module.exports = { takeToken };
@@ -0,0 +1,158 @@
+// Validation of relayed WebRTC signals. Offers, answers and ICE candidates
+// are checked and copied before they reach the other peer.
+
+const MAX_SDP_BYTES = Number(process.env.MAX_SDP_BYTES) || 64 * 1024;
+const MAX_CANDIDATE_BYTES = 1024;
+// sdpMid and usernameFragment are short tokens in practice
+const MAX_CANDIDATE_FIELD_BYTES = 256;
+// "all", "no-host" (hide local addresses) or "relay-only" (TURN only)
+const ICE_CANDIDATE_POLICY = process.env.ICE_CANDIDATE_POLICY || "all";
+
+class SignalValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "SignalValidationError";
+    this.code = code;
+  }
+}
+
+function candidateType(candidateLine) {
+  const match = /\btyp\s+(host|srflx|prflx|relay)\b/.exec(candidateLine);
+  return match ? match[1] : null;
+}
+
+function isCandidateAllowed(candidateLine, policy = ICE_CANDIDATE_POLICY) {
+  const type = candidateType(candidateLine);
+  if (policy === "relay-only") {
+    return type === "relay";
+  }
+  if (policy === "no-host") {
+    return type !== "host";
+  }
+  return true;
+}
+
+// Check an offer/answer and return a clean copy with candidate lines the
+// policy forbids removed
+function sanitizeSessionDescription(
+  description,
+  expectedType,
+  policy = ICE_CANDIDATE_POLICY
+) {
+  if (!description || typeof description !== "object") {
+    throw new SignalValidationError(
+      "invalid-sdp",
+      "Session description must be an object"
+    );
+  }
+
+  const { type, sdp } = description;
+  if (type !== expectedType) {
+    throw new SignalValidationError(
+      "invalid-sdp",
+      `Session description type must be "${expectedType}"`
+    );
+  }
+  if (typeof sdp !== "string" || !sdp.startsWith("v=0")) {
+    throw new SignalValidationError(
+      "invalid-sdp",
+      "sdp must be a string starting with v=0"
+    );
+  }
+  if (Buffer.byteLength(sdp) > MAX_SDP_BYTES) {
+    throw new SignalValidationError(
+      "sdp-too-large",
+      `sdp must be at most ${MAX_SDP_BYTES} bytes`
+    );
+  }
+
+  const lines = sdp
+    .split(/\r?\n/)
+    .filter(
+      (line) =>
+        !line.startsWith("a=candidate:") || isCandidateAllowed(line, policy)
+    );
+  return { type, sdp: lines.join("\r\n") };
+}
+
+// Check an ICE candidate and return a clean copy, or null if the policy
+// filters it out. An empty candidate string marks end-of-candidates.
+function sanitizeCandidate(candidate, policy = ICE_CANDIDATE_POLICY) {
+  if (!candidate || typeof candidate !== "object") {
+    throw new SignalValidationError(
+      "invalid-candidate",
+      "Candidate must be an object"
+    );
+  }
+
+  const { candidate: line, sdpMid = null, sdpMLineIndex = null } = candidate;
+  const { usernameFragment = null } = candidate;
+
+  if (
+    typeof line !== "string" ||
+    (line !== "" && !/^(a=)?candidate:/.test(line))
+  ) {
+    throw new SignalValidationError(
+      "invalid-candidate",
+      "candidate must be a candidate attribute string"
+    );
+  }
+  if (Buffer.byteLength(line) > MAX_CANDIDATE_BYTES) {
+    throw new SignalValidationError(
+      "candidate-too-large",
+      `candidate must be at most ${MAX_CANDIDATE_BYTES} bytes`
+    );
+  }
+  if (sdpMid !== null && typeof sdpMid !== "string") {
+    throw new SignalValidationError(
+      "invalid-candidate",
+      "sdpMid must be a string or null"
+    );
+  }
+  if (
+    sdpMLineIndex !== null &&
+    !(Number.isInteger(sdpMLineIndex) && sdpMLineIndex >= 0)
+  ) {
+    throw new SignalValidationError(
+      "invalid-candidate",
+      "sdpMLineIndex must be a non-negative integer or null"
+    );
+  }
+  if (sdpMid === null && sdpMLineIndex === null) {
+    throw new SignalValidationError(
+      "invalid-candidate",
+      "Either sdpMid or sdpMLineIndex is required"
+    );
+  }
+  if (usernameFragment !== null && typeof usernameFragment !== "string") {
+    throw new SignalValidationError(
+      "invalid-candidate",
+      "usernameFragment must be a string or null"
+    );
+  }
+  for (const [name, value] of Object.entries({ sdpMid, usernameFragment })) {
+    if (
+      value !== null &&
+      Buffer.byteLength(value) > MAX_CANDIDATE_FIELD_BYTES
+    ) {
+      throw new SignalValidationError(
+        "candidate-too-large",
+        `${name} must be at most ${MAX_CANDIDATE_FIELD_BYTES} bytes`
+      );
+    }
+  }
+
+  if (line !== "" && !isCandidateAllowed(line, policy)) {
+    return null;
+  }
+  return { candidate: line, sdpMid, sdpMLineIndex, usernameFragment };
+}
+
+module.exports = {
+  MAX_SDP_BYTES,
+  MAX_CANDIDATE_BYTES,
+  MAX_CANDIDATE_FIELD_BYTES,
+  SignalValidationError,
+  sanitizeSessionDescription,
+  sanitizeCandidate,
+};
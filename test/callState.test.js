@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  CALL_TRANSITIONS,
+  CallStateError,
+  isCallTerminal,
+  advanceCall,
+} = require("../callState");
+
+function ringingCall() {
+  return {
+    callId: "call-1",
+    callerId: "alice",
+    calleeId: "bob",
+    state: "ringing",
+    createdAt: 1000,
+    updatedAt: 1000,
+    endedAt: null,
+    endReason: null,
+    endedBy: null,
+    history: [{ state: "ringing", at: 1000, by: "alice" }],
+  };
+}
+
+test("terminal states have no way out", () => {
+  for (const state of ["ended", "rejected", "missed", "cancelled"]) {
+    assert.deepStrictEqual(CALL_TRANSITIONS[state], []);
+    assert.strictEqual(isCallTerminal({ state }), true);
+  }
+  for (const state of ["ringing", "accepted", "connected"]) {
+    assert.strictEqual(isCallTerminal({ state }), false);
+  }
+});
+
+test("walks a call from ringing to ended", () => {
+  const call = ringingCall();
+  advanceCall(call, "accepted", "bob", undefined, 2000);
+  advanceCall(call, "connected", "bob", undefined, 3000);
+  advanceCall(call, "ended", "alice", undefined, 4000);
+
+  assert.strictEqual(call.state, "ended");
+  assert.strictEqual(call.updatedAt, 4000);
+  assert.strictEqual(call.endedAt, 4000);
+  assert.strictEqual(call.endReason, "hangup");
+  assert.strictEqual(call.endedBy, "alice");
+  assert.deepStrictEqual(
+    call.history.map((entry) => [entry.state, entry.at, entry.by]),
+    [
+      ["ringing", 1000, "alice"],
+      ["accepted", 2000, "bob"],
+      ["connected", 3000, "bob"],
+      ["ended", 4000, "alice"],
+    ]
+  );
+});
+
+test("an accepted call can end without connecting", () => {
+  const call = ringingCall();
+  advanceCall(call, "accepted", "bob");
+  advanceCall(call, "ended", "bob");
+  assert.strictEqual(call.state, "ended");
+});
+
+test("fills in the default end reason for each terminal state", () => {
+  for (const [state, reason] of [
+    ["rejected", "rejected"],
+    ["missed", "timeout"],
+    ["cancelled", "cancelled"],
+  ]) {
+    const call = advanceCall(ringingCall(), state, "bob");
+    assert.strictEqual(call.endReason, reason);
+  }
+});
+
+test("keeps an explicit end reason", () => {
+  const call = advanceCall(ringingCall(), "rejected", "system", "busy");
+  assert.strictEqual(call.endReason, "busy");
+  assert.strictEqual(call.endedBy, "system");
+});
+
+test("leaves end fields alone for non-terminal moves", () => {
+  const call = advanceCall(ringingCall(), "accepted", "bob");
+  assert.strictEqual(call.endedAt, null);
+  assert.strictEqual(call.endReason, null);
+  assert.strictEqual(call.endedBy, null);
+});
+
+test("rejects moves the machine does not allow", () => {
+  for (const [from, to] of [
+    ["ringing", "connected"],
+    ["ringing", "ended"],
+    ["accepted", "rejected"],
+    ["connected", "accepted"],
+    ["ended", "ended"],
+    ["missed", "accepted"],
+  ]) {
+    const call = { ...ringingCall(), state: from, history: [] };
+    assert.throws(
+      () => advanceCall(call, to, "bob"),
+      (error) =>
+        error instanceof CallStateError &&
+        error.code === "illegal-transition" &&
+        error.callId === "call-1"
+    );
+    assert.strictEqual(call.state, from);
+    assert.strictEqual(call.history.length, 0);
+  }
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { verifyJwt } = require("../jwt");
+
+const SECRET = "test-secret";
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function sign(header, claims, secret = SECRET) {
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+function token(claims, header = { alg: "HS256", typ: "JWT" }) {
+  return sign(header, claims);
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test("returns the claims of a valid token", () => {
+  const claims = verifyJwt(token({ sub: "alice" }), SECRET);
+  assert.strictEqual(claims.sub, "alice");
+});
+
+test("rejects a token signed with another secret", () => {
+  assert.throws(
+    () => verifyJwt(sign({ alg: "HS256" }, { sub: "alice" }, "other"), SECRET),
+    /Invalid token signature/
+  );
+});
+
+test("rejects a token whose payload was changed after signing", () => {
+  const [header, , signature] = token({ sub: "alice" }).split(".");
+  const tampered = `${header}.${encode({ sub: "mallory" })}.${signature}`;
+  assert.throws(() => verifyJwt(tampered, SECRET), /Invalid token signature/);
+});
+
+test("rejects a truncated signature", () => {
+  const valid = token({ sub: "alice" });
+  assert.throws(
+    () => verifyJwt(valid.slice(0, -4), SECRET),
+    /Invalid token signature/
+  );
+});
+
+test("rejects a signature with characters outside base64url", () => {
+  const valid = token({ sub: "alice" });
+  const [header, payload, signature] = valid.split(".");
+  for (const altered of [
+    `${valid}$$`,
+    `${valid}=`,
+    `${header}.${payload}.${signature.slice(0, 5)}*${signature.slice(5)}`,
+  ]) {
+    assert.throws(() => verifyJwt(altered, SECRET), /Invalid token signature/);
+  }
+});
+
+test("rejects algorithms other than HS256", () => {
+  for (const alg of ["none", "HS512", "RS256", undefined]) {
+    assert.throws(
+      () => verifyJwt(token({ sub: "alice" }, { alg }), SECRET),
+      /Unsupported token algorithm/
+    );
+  }
+});
+
+test("rejects an unsigned alg none token", () => {
+  const unsigned = `${encode({ alg: "none" })}.${encode({ sub: "alice" })}.`;
+  assert.throws(() => verifyJwt(unsigned, SECRET), /Unsupported token/);
+});
+
+test("rejects an expired token", () => {
+  assert.throws(
+    () => verifyJwt(token({ sub: "alice", exp: now() - 10 }), SECRET),
+    /Token expired/
+  );
+});
+
+test("accepts a token that has not expired yet", () => {
+  const claims = verifyJwt(token({ sub: "alice", exp: now() + 60 }), SECRET);
+  assert.strictEqual(claims.sub, "alice");
+});
+
+test("rejects a token used before nbf", () => {
+  assert.throws(
+    () => verifyJwt(token({ sub: "alice", nbf: now() + 60 }), SECRET),
+    /Token not yet valid/
+  );
+});
+
+test("accepts a token once nbf has passed", () => {
+  const claims = verifyJwt(token({ sub: "alice", nbf: now() - 10 }), SECRET);
+  assert.strictEqual(claims.sub, "alice");
+});
+
+test("rejects malformed tokens", () => {
+  const header = encode({ alg: "HS256" });
+  for (const malformed of [
+    "",
+    "abc",
+    "a.b",
+    "a.b.c.d",
+    `not-json.${encode({ sub: "alice" })}.sig`,
+    `${encode(null)}.${encode({ sub: "alice" })}.sig`,
+    `${header}.${Buffer.from("{").toString("base64url")}.sig`,
+    null,
+    42,
+  ]) {
+    assert.throws(
+      () => verifyJwt(malformed, SECRET),
+      /Malformed token|Invalid/
+    );
+  }
+});
+
+test("refuses to verify without a secret", () => {
+  assert.throws(
+    () => verifyJwt(token({ sub: "alice" }), ""),
+    /Authentication is not configured/
+  );
+});
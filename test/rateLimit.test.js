@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { takeToken } = require("../rateLimit");
+
+test("allows a burst up to capacity, then reports the wait", () => {
+  const buckets = new Map();
+  for (let i = 0; i < 3; i += 1) {
+    assert.strictEqual(takeToken(buckets, "offer", 3, 2, 1000), 0);
+  }
+  // One token comes back every 500 ms at 2 per second
+  assert.strictEqual(takeToken(buckets, "offer", 3, 2, 1000), 500);
+});
+
+test("refills over time without going past capacity", () => {
+  const buckets = new Map();
+  takeToken(buckets, "offer", 2, 1, 0);
+  takeToken(buckets, "offer", 2, 1, 0);
+  assert.ok(takeToken(buckets, "offer", 2, 1, 0) > 0);
+
+  assert.strictEqual(takeToken(buckets, "offer", 2, 1, 1000), 0);
+  assert.ok(takeToken(buckets, "offer", 2, 1, 1000) > 0);
+
+  // A long idle spell only fills the bucket back up to capacity
+  assert.strictEqual(takeToken(buckets, "offer", 2, 1, 60000), 0);
+  assert.strictEqual(takeToken(buckets, "offer", 2, 1, 60000), 0);
+  assert.ok(takeToken(buckets, "offer", 2, 1, 60000) > 0);
+});
+
+test("a refused take does not spend a token", () => {
+  const buckets = new Map();
+  takeToken(buckets, "call_user", 1, 0.5, 0);
+  assert.strictEqual(takeToken(buckets, "call_user", 1, 0.5, 0), 2000);
+  assert.strictEqual(takeToken(buckets, "call_user", 1, 0.5, 1000), 1000);
+  assert.strictEqual(takeToken(buckets, "call_user", 1, 0.5, 2000), 0);
+});
+
+test("keeps a separate bucket per key", () => {
+  const buckets = new Map();
+  assert.strictEqual(takeToken(buckets, "offer", 1, 1, 0), 0);
+  assert.ok(takeToken(buckets, "offer", 1, 1, 0) > 0);
+  assert.strictEqual(takeToken(buckets, "default", 1, 1, 0), 0);
+  assert.deepStrictEqual(Array.from(buckets.keys()), ["offer", "default"]);
+});
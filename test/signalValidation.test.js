@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  MAX_SDP_BYTES,
+  MAX_CANDIDATE_BYTES,
+  MAX_CANDIDATE_FIELD_BYTES,
+  SignalValidationError,
+  sanitizeSessionDescription,
+  sanitizeCandidate,
+} = require("../signalValidation");
+
+const HOST = "candidate:1 1 udp 2122260223 10.0.0.1 5000 typ host";
+const SRFLX = "candidate:2 1 udp 1686052607 1.2.3.4 5000 typ srflx";
+const RELAY = "candidate:3 1 udp 41885439 5.6.7.8 3478 typ relay";
+
+const SDP = [
+  "v=0",
+  "o=- 1 1 IN IP4 0.0.0.0",
+  "s=-",
+  `a=${HOST}`,
+  `a=${SRFLX}`,
+  `a=${RELAY}`,
+].join("\r\n");
+
+function rejectsWith(fn, code) {
+  assert.throws(
+    fn,
+    (error) => error instanceof SignalValidationError && error.code === code
+  );
+}
+
+test("passes a valid offer through", () => {
+  const description = sanitizeSessionDescription(
+    { type: "offer", sdp: SDP, extra: "dropped" },
+    "offer",
+    "all"
+  );
+  assert.deepStrictEqual(description, { type: "offer", sdp: SDP });
+});
+
+test("rejects session descriptions of the wrong shape", () => {
+  rejectsWith(() => sanitizeSessionDescription(null, "offer"), "invalid-sdp");
+  rejectsWith(() => sanitizeSessionDescription("v=0", "offer"), "invalid-sdp");
+  rejectsWith(
+    () => sanitizeSessionDescription({ type: "answer", sdp: SDP }, "offer"),
+    "invalid-sdp"
+  );
+  rejectsWith(
+    () => sanitizeSessionDescription({ type: "offer", sdp: 5 }, "offer"),
+    "invalid-sdp"
+  );
+  rejectsWith(
+    () => sanitizeSessionDescription({ type: "offer", sdp: "o=-" }, "offer"),
+    "invalid-sdp"
+  );
+});
+
+test("rejects an oversized sdp", () => {
+  const sdp = `v=0\r\n${"a".repeat(MAX_SDP_BYTES)}`;
+  rejectsWith(
+    () => sanitizeSessionDescription({ type: "offer", sdp }, "offer"),
+    "sdp-too-large"
+  );
+});
+
+test("strips candidates the policy forbids from an sdp", () => {
+  const noHost = sanitizeSessionDescription(
+    { type: "offer", sdp: SDP },
+    "offer",
+    "no-host"
+  );
+  assert.ok(!noHost.sdp.includes("typ host"));
+  assert.ok(noHost.sdp.includes("typ srflx"));
+
+  const relayOnly = sanitizeSessionDescription(
+    { type: "answer", sdp: SDP },
+    "answer",
+    "relay-only"
+  );
+  assert.ok(!relayOnly.sdp.includes("typ srflx"));
+  assert.ok(relayOnly.sdp.includes("typ relay"));
+});
+
+test("returns a clean copy of a valid candidate", () => {
+  assert.deepStrictEqual(
+    sanitizeCandidate({ candidate: HOST, sdpMid: "0", extra: 1 }, "all"),
+    {
+      candidate: HOST,
+      sdpMid: "0",
+      sdpMLineIndex: null,
+      usernameFragment: null,
+    }
+  );
+});
+
+test("accepts the end-of-candidates marker", () => {
+  const candidate = sanitizeCandidate(
+    { candidate: "", sdpMLineIndex: 0 },
+    "relay-only"
+  );
+  assert.strictEqual(candidate.candidate, "");
+});
+
+test("filters candidates by policy", () => {
+  assert.strictEqual(
+    sanitizeCandidate({ candidate: HOST, sdpMid: "0" }, "no-host"),
+    null
+  );
+  assert.strictEqual(
+    sanitizeCandidate({ candidate: SRFLX, sdpMid: "0" }, "relay-only"),
+    null
+  );
+  assert.ok(sanitizeCandidate({ candidate: RELAY, sdpMid: "0" }, "relay-only"));
+});
+
+test("rejects malformed candidates", () => {
+  for (const candidate of [
+    null,
+    "candidate",
+    { sdpMid: "0" },
+    { candidate: "typ host", sdpMid: "0" },
+    { candidate: HOST, sdpMid: 0 },
+    { candidate: HOST, sdpMLineIndex: -1 },
+    { candidate: HOST, sdpMLineIndex: 1.5 },
+    { candidate: HOST },
+    { candidate: HOST, sdpMid: "0", usernameFragment: 7 },
+  ]) {
+    rejectsWith(() => sanitizeCandidate(candidate), "invalid-candidate");
+  }
+});
+
+test("caps the size of every candidate string", () => {
+  const long = "x".repeat(MAX_CANDIDATE_FIELD_BYTES + 1);
+  for (const candidate of [
+    { candidate: `candidate:${"1".repeat(MAX_CANDIDATE_BYTES)}`, sdpMid: "0" },
+    { candidate: HOST, sdpMid: long },
+    { candidate: HOST, sdpMid: "0", usernameFragment: long },
+  ]) {
+    rejectsWith(() => sanitizeCandidate(candidate), "candidate-too-large");
+  }
+});